@@ -5,7 +5,23 @@ import { fileURLToPath } from 'url';
 import { dirname, join } from 'path';
 import contentfulManagement from 'contentful-management';
 import * as deepl from 'deepl-node';
-import { ServerIncrementalTranslationService } from './services/incrementalTranslationService.js';
+import {
+  ServerIncrementalTranslationService,
+  toLocaleTargetId,
+} from './services/incrementalTranslationService.js';
+import { fieldRulesService } from './services/fieldRulesService.js';
+import { translationMemoryService } from './services/translationMemoryService.js';
+import { GlossaryService } from './services/glossaryService.js';
+import { SourceTreeCache } from './services/sourceTreeCache.js';
+import { localeRegistry } from './services/localeRegistry.js';
+import {
+  CharacterBudgetService,
+  CountingTranslationProvider,
+} from './services/characterBudgetService.js';
+import {
+  createTranslationProvider,
+  getTranslationProviderName,
+} from './services/translationProviders.js';
 
 // Load environment variables
 dotenv.config();
@@ -35,12 +51,13 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// DeepL status check endpoint
+// Translation provider status check endpoint (DeepL unless TRANSLATION_PROVIDER selects another)
 app.get('/api/deepl/status', async (req, res) => {
   try {
     const apiKey = process.env.DEEPL_API_KEY;
+    const translator = createTranslationProvider({ deeplApiKey: apiKey });
 
-    if (!apiKey) {
+    if (!translator) {
       return res.status(500).json({
         success: false,
         error:
@@ -48,30 +65,36 @@ app.get('/api/deepl/status', async (req, res) => {
       });
     }
 
-    const translator = new deepl.Translator(apiKey);
-
     try {
-      console.log('🔍 Testing DeepL API connection...');
-      console.log('🔑 API Key length:', apiKey.length);
-      console.log('🔑 API Key prefix:', apiKey.substring(0, 10) + '...');
+      console.log(`🔍 Testing ${translator.name} connection...`);
+      if (apiKey && translator.name === 'deepl') {
+        console.log('🔑 API Key length:', apiKey.length);
+        console.log('🔑 API Key prefix:', apiKey.substring(0, 10) + '...');
+      }
 
       const usage = await translator.getUsage();
-      console.log('✅ DeepL usage retrieved successfully');
+      console.log(`✅ ${translator.name} usage retrieved successfully`);
 
       const sourceLanguages = await translator.getSourceLanguages();
-      console.log('✅ DeepL source languages retrieved successfully');
+      console.log(
+        `✅ ${translator.name} source languages retrieved successfully`
+      );
 
       const targetLanguages = await translator.getTargetLanguages();
-      console.log('✅ DeepL target languages retrieved successfully');
+      console.log(
+        `✅ ${translator.name} target languages retrieved successfully`
+      );
 
       res.json({
         success: true,
         data: {
           connected: true,
+          provider: translator.name,
           usage: {
             character: {
               count: usage.character?.count || 0,
-              limit: usage.character?.limit || 500000,
+              // Providers without a character limit report null
+              limit: usage.character ? usage.character.limit : 500000,
             },
           },
           supportedLanguages: {
@@ -191,6 +214,434 @@ app.get('/api/contentful/diagnostics', async (req, res) => {
   }
 });
 
+// Get the effective field rules for a space and environment
+app.get('/api/config/field-rules', (req, res) => {
+  try {
+    const { spaceId, environmentId } = req.query;
+
+    res.json({
+      success: true,
+      data: {
+        rulesPath: fieldRulesService.rulesPath,
+        spaceId: spaceId || null,
+        environmentId: environmentId || null,
+        rules: fieldRulesService.getRules(spaceId, environmentId),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error getting field rules:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Check the locale registry against the languages of the translation
+// provider; markets it does not support are refused by /api/clone
+const validateLocaleRegistry = async () => {
+  try {
+    const translator = createTranslationProvider({
+      deeplApiKey: process.env.DEEPL_API_KEY,
+    });
+    if (!translator) {
+      console.warn(
+        '⚠️ Locale registry not validated - no translation provider'
+      );
+      return;
+    }
+
+    const { unsupported } = await localeRegistry.validate(translator);
+    for (const { market, missing } of unsupported) {
+      console.warn(
+        `⚠️ Market ${market} is not supported by ${
+          translator.name
+        } as ${missing.join(' and ')} language`
+      );
+    }
+    console.log(
+      `🗺️ Locale registry validated against ${translator.name}: ${unsupported.length} unsupported markets`
+    );
+  } catch (error) {
+    console.warn(`⚠️ Locale registry validation failed: ${error.message}`);
+  }
+};
+
+// List the markets of the locale registry with their culture value, DeepL
+// codes and provider support, for the sidebar's market selection
+app.get('/api/locales', async (req, res) => {
+  try {
+    if (!localeRegistry.validation || req.query.refresh === 'true') {
+      await validateLocaleRegistry();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        markets: localeRegistry.list(),
+        validation: localeRegistry.validation,
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error listing locales:', error);
+    res.status(500).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Reload the field rules file without restarting the server
+app.post('/api/config/field-rules/reload', (req, res) => {
+  try {
+    fieldRulesService.reload();
+
+    res.json({
+      success: true,
+      data: { rulesPath: fieldRulesService.rulesPath },
+      message: 'Field rules reloaded successfully',
+    });
+  } catch (error) {
+    console.error('❌ Field rules reload failed:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Create a glossary service for the configured provider, or answer 500 when
+// it is not configured (e.g. no DeepL key)
+const createGlossaryService = (res) => {
+  let translator;
+  try {
+    translator = createTranslationProvider({
+      deeplApiKey: process.env.DEEPL_API_KEY,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      error: `Server configuration error: ${error.message}`,
+    });
+    return null;
+  }
+
+  if (!translator) {
+    res.status(500).json({
+      success: false,
+      error:
+        'Server configuration error: DEEPL_API_KEY not set in server environment',
+    });
+    return null;
+  }
+
+  return new GlossaryService(translator);
+};
+
+// Glossary input from a JSON body, or from a raw CSV/TSV upload with the
+// name and languages in the query string
+const getGlossaryInput = (req) => {
+  if (typeof req.body === 'string') {
+    const format = req.is('text/csv') ? 'csv' : 'tsv';
+    return {
+      ...req.query,
+      merge: req.query.merge === 'true',
+      [format]: req.body,
+    };
+  }
+  return req.body || {};
+};
+
+// Answer a failed glossary operation: 404 for unknown glossaries, 400 for invalid input
+const sendGlossaryError = (res, error, action) => {
+  console.error(`❌ Failed to ${action}:`, error.message);
+
+  const status =
+    error instanceof deepl.GlossaryNotFoundError
+      ? 404
+      : error instanceof deepl.DeepLError &&
+        !(error instanceof deepl.ArgumentError)
+      ? 500
+      : 400;
+  res.status(status).json({
+    success: false,
+    error: error.message,
+  });
+};
+
+const glossaryUpload = express.text({
+  type: ['text/csv', 'text/tab-separated-values', 'text/plain'],
+  limit: '10mb',
+});
+
+// List DeepL glossaries, optionally for one language pair
+app.get('/api/glossaries', async (req, res) => {
+  const glossaryService = createGlossaryService(res);
+  if (!glossaryService) return;
+
+  try {
+    const { sourceLanguage, targetLanguage } = req.query;
+
+    res.json({
+      success: true,
+      data: await glossaryService.listGlossaries({
+        sourceLanguage,
+        targetLanguage,
+      }),
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, 'list glossaries');
+  }
+});
+
+// Language pairs DeepL supports glossaries for
+app.get('/api/glossaries/language-pairs', async (req, res) => {
+  const glossaryService = createGlossaryService(res);
+  if (!glossaryService) return;
+
+  try {
+    res.json({
+      success: true,
+      data: await glossaryService.getLanguagePairs(),
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, 'get glossary language pairs');
+  }
+});
+
+// Get a glossary, with its entries when includeEntries=true
+app.get('/api/glossaries/:glossaryId', async (req, res) => {
+  const glossaryService = createGlossaryService(res);
+  if (!glossaryService) return;
+
+  try {
+    res.json({
+      success: true,
+      data: await glossaryService.getGlossary(req.params.glossaryId, {
+        includeEntries: req.query.includeEntries === 'true',
+      }),
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, 'get glossary');
+  }
+});
+
+// Create a glossary from entries, CSV or TSV
+app.post('/api/glossaries', glossaryUpload, async (req, res) => {
+  const glossaryService = createGlossaryService(res);
+  if (!glossaryService) return;
+
+  try {
+    const glossary = await glossaryService.createGlossary(
+      getGlossaryInput(req)
+    );
+
+    res.status(201).json({
+      success: true,
+      data: glossary,
+      message: `Glossary '${glossary.name}' created`,
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, 'create glossary');
+  }
+});
+
+// Replace (or with merge, extend) a glossary's entries; the glossary gets a new ID
+app.put('/api/glossaries/:glossaryId', glossaryUpload, async (req, res) => {
+  const glossaryService = createGlossaryService(res);
+  if (!glossaryService) return;
+
+  try {
+    const glossary = await glossaryService.updateGlossary(
+      req.params.glossaryId,
+      getGlossaryInput(req)
+    );
+
+    res.json({
+      success: true,
+      data: glossary,
+      message: `Glossary ${glossary.replacedGlossaryId} replaced by ${glossary.glossaryId}`,
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, 'update glossary');
+  }
+});
+
+// Delete a glossary
+app.delete('/api/glossaries/:glossaryId', async (req, res) => {
+  const glossaryService = createGlossaryService(res);
+  if (!glossaryService) return;
+
+  try {
+    await glossaryService.deleteGlossary(req.params.glossaryId);
+
+    res.json({
+      success: true,
+      data: { glossaryId: req.params.glossaryId },
+      message: 'Glossary deleted',
+    });
+  } catch (error) {
+    sendGlossaryError(res, error, 'delete glossary');
+  }
+});
+
+// Read translation memory filters from a query string
+const getTranslationMemoryFilters = (query) => {
+  const { sourceLanguage, targetLanguage, search, olderThan } = query;
+
+  if (olderThan && Number.isNaN(Date.parse(olderThan))) {
+    throw new Error(`Invalid olderThan date '${olderThan}'`);
+  }
+
+  return { sourceLanguage, targetLanguage, search, olderThan };
+};
+
+// List translation memory entries with statistics
+app.get('/api/translation-memory', (req, res) => {
+  try {
+    const filters = getTranslationMemoryFilters(req.query);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    res.json({
+      success: true,
+      data: {
+        stats: translationMemoryService.getStats(),
+        ...translationMemoryService.list({ ...filters, limit, offset }),
+      },
+    });
+  } catch (error) {
+    console.error('❌ Error listing translation memory:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Export translation memory entries as JSON or CSV
+app.get('/api/translation-memory/export', (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    const exported = translationMemoryService.export(
+      format,
+      getTranslationMemoryFilters(req.query)
+    );
+
+    res.attachment(`translation-memory.${format}`);
+    if (format === 'csv') {
+      res.type('text/csv').send(exported);
+    } else {
+      res.json(exported);
+    }
+  } catch (error) {
+    console.error('❌ Error exporting translation memory:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Get one translation memory entry
+app.get('/api/translation-memory/:key', (req, res) => {
+  const entry = translationMemoryService.get(req.params.key);
+
+  if (!entry) {
+    return res.status(404).json({
+      success: false,
+      error: `Translation memory entry ${req.params.key} not found`,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: entry,
+  });
+});
+
+// Purge translation memory entries matching the filters; purging everything needs all=true
+app.delete('/api/translation-memory', (req, res) => {
+  try {
+    const filters = getTranslationMemoryFilters(req.query);
+    const hasFilters = Object.values(filters).some(Boolean);
+
+    if (!hasFilters && req.query.all !== 'true') {
+      return res.status(400).json({
+        success: false,
+        error:
+          'Pass sourceLanguage, targetLanguage, search or olderThan, or all=true to purge every entry',
+      });
+    }
+
+    const removed = translationMemoryService.purge(filters);
+
+    res.json({
+      success: true,
+      data: { removed },
+      message: `Purged ${removed} translation memory entries`,
+    });
+  } catch (error) {
+    console.error('❌ Error purging translation memory:', error.message);
+    res.status(400).json({
+      success: false,
+      error: error.message,
+    });
+  }
+});
+
+// Delete one translation memory entry
+app.delete('/api/translation-memory/:key', (req, res) => {
+  const removed = translationMemoryService.purge({ key: req.params.key });
+
+  if (removed === 0) {
+    return res.status(404).json({
+      success: false,
+      error: `Translation memory entry ${req.params.key} not found`,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { removed },
+    message: 'Translation memory entry deleted',
+  });
+});
+
+// Target languages cloned at the same time unless the request or CLONE_CONCURRENCY says otherwise
+const DEFAULT_CLONE_CONCURRENCY = 2;
+
+// Run a worker over items with at most `limit` running at once; results keep the item order
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runNext = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  };
+
+  await Promise.all(
+    Array.from({ length: Math.min(limit, items.length) }, runNext)
+  );
+  return results;
+};
+
+// Character budget of a space's field rules, checked against the quota of the configured provider
+const createCharacterBudget = (rules, deeplApiKey) =>
+  new CharacterBudgetService(rules, createTranslationProvider({ deeplApiKey }));
+
+// Answer a request whose character estimate was refused or needs confirmation
+const sendBudgetRefusal = (res, estimate) =>
+  res.status(409).json({
+    success: false,
+    error: CharacterBudgetService.describe(estimate),
+    requiresConfirmation: estimate.decision === 'confirm',
+    estimate,
+  });
+
 // Clone entry endpoint with sophisticated translation logic
 app.post('/api/clone', async (req, res) => {
   try {
@@ -203,9 +654,24 @@ app.post('/api/clone', async (req, res) => {
       sourceEntryId,
       spaceId,
       environmentId,
+      destinationSpaceId = spaceId,
+      destinationEnvironmentId = environmentId,
       sourceLanguage,
       targetLanguage,
       targetLanguages,
+      assetMode,
+      mode = 'clone',
+      sourceLocale,
+      targetLocale,
+      dryRun = false,
+      rollbackMode = process.env.CLONE_ROLLBACK_MODE || 'delete',
+      publish = false,
+      glossaryId,
+      glossaryIds = {},
+      translationProfile,
+      translationProfiles = {},
+      concurrency = process.env.CLONE_CONCURRENCY || DEFAULT_CLONE_CONCURRENCY,
+      confirmBudget = false,
     } = req.body;
 
     console.log('🔍 DEBUG - Destructured values:', {
@@ -244,6 +710,61 @@ app.post('/api/clone', async (req, res) => {
       });
     }
 
+    if (!['clone', 'localize'].includes(mode)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid mode '${mode}'. Supported modes: clone, localize`,
+      });
+    }
+
+    if (
+      mode === 'localize' &&
+      (destinationSpaceId !== spaceId ||
+        destinationEnvironmentId !== environmentId)
+    ) {
+      return res.status(400).json({
+        success: false,
+        error:
+          'destinationSpaceId and destinationEnvironmentId are only supported in clone mode',
+      });
+    }
+
+    if (mode === 'localize' && dryRun) {
+      return res.status(400).json({
+        success: false,
+        error: 'dryRun is only supported in clone mode',
+      });
+    }
+
+    if (mode === 'localize' && targetLocale && targetLangs.length > 1) {
+      return res.status(400).json({
+        success: false,
+        error:
+          'targetLocale can only be combined with a single target language',
+      });
+    }
+
+    const cloneConcurrency = Number(concurrency);
+    if (!Number.isInteger(cloneConcurrency) || cloneConcurrency < 1) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid concurrency '${concurrency}' - expected a positive integer`,
+      });
+    }
+
+    // Target languages are markets of the locale registry (see /api/locales)
+    const unsupportedMarkets = targetLangs.filter(
+      (targetLang) => localeRegistry.isSupported(targetLang) === false
+    );
+    if (unsupportedMarkets.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported target market${
+          unsupportedMarkets.length !== 1 ? 's' : ''
+        } '${unsupportedMarkets.join("', '")}' - see GET /api/locales`,
+      });
+    }
+
     if (!managementToken) {
       return res.status(500).json({
         success: false,
@@ -252,7 +773,7 @@ app.post('/api/clone', async (req, res) => {
       });
     }
 
-    if (!deeplApiKey) {
+    if (getTranslationProviderName() === 'deepl' && !deeplApiKey) {
       return res.status(500).json({
         success: false,
         error:
@@ -260,7 +781,7 @@ app.post('/api/clone', async (req, res) => {
       });
     }
 
-    console.log(`🚀 Starting clone operation for entry: ${sourceEntryId}`);
+    console.log(`🚀 Starting ${mode} operation for entry: ${sourceEntryId}`);
     console.log(
       `🌐 Translation enabled: ${sourceLanguage || 'auto'} → ${JSON.stringify(
         targetLangs
@@ -282,91 +803,393 @@ app.post('/api/clone', async (req, res) => {
       accessToken: managementToken,
     });
 
-    // Initialize the clone service
-    const cloneService = new ServerContentfulCloneService(client, deeplApiKey);
-
-    // Execute clone operations for each target language
-    const allResults = [];
-    const allCloneMappings = {};
+    // Clones read the source tree once through a shared cache and run
+    // concurrently. Localizations write into the same entries, so they run
+    // one at a time and always read the entries fresh
+    const sourceCache =
+      mode === 'clone'
+        ? await SourceTreeCache.create(client, spaceId, environmentId)
+        : null;
+    const languageConcurrency = mode === 'clone' ? cloneConcurrency : 1;
 
-    console.log(`🔍 DEBUG - Starting loop over targetLangs:`, targetLangs);
-    for (const targetLang of targetLangs) {
-      console.log(`🌍 Processing target language: ${targetLang}`);
-
-      // Execute the clone operation
-      const result = await cloneService.cloneEntry({
-        sourceEntryId,
-        spaceId,
-        environmentId,
-        sourceLanguage,
-        targetLanguage: targetLang,
-        onProgress: (message) => console.log(`📋 [${targetLang}] ${message}`),
-      });
+    console.log(
+      `🔀 Processing ${targetLangs.length} target languages, ${languageConcurrency} at a time`
+    );
 
-      console.log(`🔍 DEBUG - Clone result for ${targetLang}:`, {
-        cloneMapping: result.cloneMapping,
-        cloneMappingKeys: Object.keys(result.cloneMapping || {}),
-        cloneMappingLength: Object.keys(result.cloneMapping || {}).length,
-        cloneMappingFirstEntry: Object.entries(result.cloneMapping || {})[0],
-      });
+    // Glossary and translation profile of each target language
+    const getLanguageOptions = (targetLang) => ({
+      // A glossary per target language, or one glossary for a single language
+      targetGlossaryId:
+        glossaryIds[targetLang] ||
+        glossaryIds[targetLang.toUpperCase()] ||
+        glossaryId ||
+        null,
+      // Likewise a translation profile per target language, or one for all;
+      // without one the profile assigned to the language in the field rules applies
+      targetProfile:
+        translationProfiles[targetLang] ||
+        translationProfiles[targetLang.toUpperCase()] ||
+        translationProfile ||
+        null,
+    });
 
-      allResults.push(result);
-      Object.assign(allCloneMappings, result.cloneMapping);
+    let estimate;
+    const budget = createCharacterBudget(
+      (sourceCache
+        ? await sourceCache.getFieldRules()
+        : await fieldRulesService.resolveRules(
+            spaceId,
+            environmentId,
+            await (await client.getSpace(spaceId)).getEnvironment(environmentId)
+          )
+      ).characterBudget,
+      deeplApiKey
+    );
 
-      console.log(
-        `✅ Clone completed for ${targetLang}: ${result.originalEntryId} → ${result.clonedEntryId}`
-      );
+    // Localizations write while they translate and have no dry run to count
+    // with, so under a budget they only run when confirmed
+    if (budget.active && mode === 'localize') {
+      const refused = budget.onExceed === 'refuse';
+      if (refused || !confirmBudget) {
+        return res.status(409).json({
+          success: false,
+          error: `Localizations cannot be estimated against the character budget${
+            refused
+              ? ''
+              : ' - repeat the request with confirmBudget: true to proceed'
+          }`,
+          requiresConfirmation: !refused,
+        });
+      }
     }
 
-    // Create metadata for incremental updates
-    try {
-      const incrementalService = new ServerIncrementalTranslationService(
-        client,
-        deeplApiKey
+    // Pre-flight: count the characters of every target language with a dry
+    // run whose provider only counts and whose memory only looks, and check
+    // the total against the provider quota and the space's character budget.
+    // Dry runs count the same way themselves instead (see below). A language
+    // that cannot be estimated is not cloned, rather than counted as free
+    let estimateFailures = [];
+    let languagesToRun = targetLangs;
+    if (budget.active && mode === 'clone' && !dryRun) {
+      const languages = await mapWithConcurrency(
+        targetLangs,
+        languageConcurrency,
+        async (targetLang) => {
+          const counter = new CountingTranslationProvider(
+            createTranslationProvider({ deeplApiKey })
+          );
+          const estimator = new ServerContentfulCloneService(
+            client,
+            deeplApiKey,
+            {
+              translator: counter,
+              memory: translationMemoryService.createReadOnlyView(),
+            }
+          );
+          const { targetGlossaryId, targetProfile } =
+            getLanguageOptions(targetLang);
+
+          try {
+            await estimator.cloneEntry({
+              sourceEntryId,
+              spaceId,
+              environmentId,
+              sourceLanguage,
+              destinationSpaceId,
+              destinationEnvironmentId,
+              targetLanguage: targetLang,
+              assetMode,
+              dryRun: true,
+              glossaryId: targetGlossaryId,
+              translationProfile: targetProfile,
+              sourceCache,
+            });
+            return {
+              targetLanguage: targetLang,
+              characters: counter.characterCount,
+            };
+          } catch (error) {
+            console.error(
+              `❌ Character estimate failed for ${targetLang}:`,
+              error.message
+            );
+            return {
+              targetLanguage: targetLang,
+              error: `Character estimate failed: ${error.message}`,
+            };
+          }
+        }
       );
 
-      for (let i = 0; i < allResults.length; i++) {
-        const result = allResults[i];
-        const targetLang = targetLangs[i];
+      estimateFailures = languages.filter(({ error }) => error);
+      if (estimateFailures.length === languages.length) {
+        return res.status(500).json({
+          success: false,
+          error:
+            estimateFailures.length === 1
+              ? estimateFailures[0].error
+              : `Character estimate failed for every target language: ${estimateFailures
+                  .map(
+                    ({ targetLanguage, error }) => `${targetLanguage}: ${error}`
+                  )
+                  .join('; ')}`,
+          failures: estimateFailures,
+        });
+      }
+
+      const estimated = languages.filter(({ error }) => !error);
+      languagesToRun = estimated.map(({ targetLanguage }) => targetLanguage);
+      estimate = await budget.check(estimated, { confirmed: !!confirmBudget });
+      if (estimate.decision !== 'proceed') {
+        return sendBudgetRefusal(res, estimate);
+      }
+    }
 
-        await incrementalService.createTranslationMetadata({
-          sourceEntryId: result.originalEntryId,
-          targetEntryId: result.clonedEntryId,
-          sourceLanguage: sourceLanguage || 'de',
-          targetLanguage: targetLang,
-          spaceId,
-          environmentId,
+    // Every language gets its own clone service, so runs share nothing but
+    // the source cache, and a failing language does not stop the others
+    const languageResults = await mapWithConcurrency(
+      languagesToRun,
+      languageConcurrency,
+      async (targetLang) => {
+        console.log(`🌍 Processing target language: ${targetLang}`);
+
+        // Execute the clone operation, or translate into a locale of the same entries
+        const onProgress = (message) =>
+          console.log(`📋 [${targetLang}] ${message}`);
+        const { targetGlossaryId, targetProfile } =
+          getLanguageOptions(targetLang);
+
+        // Under a budget a dry run is the estimate: it only counts what it
+        // would translate and leaves the provider quota and the memory alone
+        const counter =
+          dryRun && budget.active
+            ? new CountingTranslationProvider(
+                createTranslationProvider({ deeplApiKey })
+              )
+            : null;
+        const cloneService = new ServerContentfulCloneService(
+          client,
+          deeplApiKey,
+          counter
+            ? {
+                translator: counter,
+                memory: translationMemoryService.createReadOnlyView(),
+              }
+            : undefined
+        );
+
+        let result;
+        try {
+          result =
+            mode === 'localize'
+              ? await cloneService.localizeEntry({
+                  sourceEntryId,
+                  spaceId,
+                  environmentId,
+                  sourceLanguage,
+                  sourceLocale,
+                  targetLanguage: targetLang,
+                  targetLocale,
+                  glossaryId: targetGlossaryId,
+                  translationProfile: targetProfile,
+                  onProgress,
+                })
+              : await cloneService.cloneEntry({
+                  sourceEntryId,
+                  spaceId,
+                  environmentId,
+                  destinationSpaceId,
+                  destinationEnvironmentId,
+                  sourceLanguage,
+                  targetLanguage: targetLang,
+                  assetMode,
+                  dryRun,
+                  rollbackMode,
+                  publish,
+                  glossaryId: targetGlossaryId,
+                  translationProfile: targetProfile,
+                  sourceCache,
+                  onProgress,
+                });
+        } catch (error) {
+          console.error(`❌ Clone failed for ${targetLang}:`, error.message);
+          return {
+            targetLanguage: targetLang,
+            success: false,
+            error: error.message || 'Unknown error occurred',
+            ...(error.rollback ? { rollback: error.rollback } : {}),
+            ...(error.compatibility
+              ? { compatibility: error.compatibility }
+              : {}),
+          };
+        }
+
+        console.log(`🔍 DEBUG - Clone result for ${targetLang}:`, {
           cloneMapping: result.cloneMapping,
+          cloneMappingKeys: Object.keys(result.cloneMapping || {}),
+          cloneMappingLength: Object.keys(result.cloneMapping || {}).length,
+          cloneMappingFirstEntry: Object.entries(result.cloneMapping || {})[0],
         });
         console.log(
-          `📝 Created metadata for: ${result.originalEntryId} → ${result.clonedEntryId} (${targetLang})`
+          `✅ Clone completed for ${targetLang}: ${result.originalEntryId} → ${result.clonedEntryId}`
         );
+
+        // Create metadata for incremental updates
+        if (!dryRun) {
+          try {
+            const incrementalService = new ServerIncrementalTranslationService(
+              client,
+              deeplApiKey
+            );
+
+            // Locale translations track the target locale in the target entry ID
+            const targetEntryId =
+              result.mode === 'localize'
+                ? toLocaleTargetId(result.clonedEntryId, result.targetLocale)
+                : result.clonedEntryId;
+
+            await incrementalService.createTranslationMetadata({
+              sourceEntryId: result.originalEntryId,
+              targetEntryId,
+              sourceLanguage: result.sourceLanguage || sourceLanguage || 'de',
+              targetLanguage: targetLang,
+              spaceId,
+              environmentId,
+              destinationSpaceId,
+              destinationEnvironmentId,
+              cloneMapping: result.cloneMapping,
+              linkedReferences: result.linkedReferences,
+              sourceLocale: result.sourceLocale,
+              targetLocale: result.targetLocale,
+              glossaryId: result.glossaryId,
+              translationProfile: result.translationProfile,
+            });
+            console.log(
+              `📝 Created metadata for: ${result.originalEntryId} → ${targetEntryId} (${targetLang})`
+            );
+          } catch (metadataError) {
+            console.warn(
+              `⚠️ Failed to create incremental update metadata for ${targetLang}:`,
+              metadataError.message
+            );
+            // Don't fail the clone operation if metadata creation fails
+          }
+        }
+
+        return {
+          targetLanguage: targetLang,
+          success: true,
+          result,
+          characters: counter?.characterCount,
+        };
       }
-    } catch (metadataError) {
-      console.warn(
-        '⚠️ Failed to create incremental update metadata:',
-        metadataError.message
+    );
+
+    if (sourceCache) {
+      console.log(
+        `📦 Source tree cache: ${sourceCache.stats.requests} reads, ${sourceCache.stats.hits} shared`
       );
-      // Don't fail the clone operation if metadata creation fails
     }
 
-    // Use first result as primary but include all results
-    const primaryResult = allResults[0];
+    const succeeded = languageResults.filter(({ success }) => success);
+    const failures = [
+      ...estimateFailures,
+      ...languageResults
+        .filter(({ success }) => !success)
+        .map(({ success, ...failure }) => failure),
+    ];
 
-    // Combine results for response
+    // Nothing was cloned - answer like a single failed clone
+    if (succeeded.length === 0) {
+      return res.status(500).json({
+        success: false,
+        error:
+          failures.length === 1
+            ? failures[0].error
+            : `Clone failed for every target language: ${failures
+                .map(
+                  ({ targetLanguage, error }) => `${targetLanguage}: ${error}`
+                )
+                .join('; ')}`,
+        ...(failures.length === 1 && failures[0].rollback
+          ? { rollback: failures[0].rollback }
+          : {}),
+        ...(failures.length === 1 && failures[0].compatibility
+          ? { compatibility: failures[0].compatibility }
+          : {}),
+        failures,
+      });
+    }
+
+    const failureNote =
+      failures.length > 0
+        ? ` - failed for ${failures
+            .map(({ targetLanguage }) => targetLanguage)
+            .join(', ')}`
+        : '';
+
+    // A dry run only previews the clone - return the plan per language, with
+    // the budget check of the characters it counted
+    if (dryRun) {
+      if (budget.active) {
+        estimate = await budget.check(
+          succeeded.map(({ targetLanguage, characters }) => ({
+            targetLanguage,
+            characters,
+          })),
+          { confirmed: !!confirmBudget }
+        );
+      }
+      return res.json({
+        success: true,
+        data: {
+          dryRun: true,
+          originalEntryId: sourceEntryId,
+          targetLocales: targetLangs,
+          estimate,
+          plans: succeeded.map(({ targetLanguage, result }) => ({
+            targetLanguage,
+            sourceLanguage: result.sourceLanguage,
+            translationProfile: result.translationProfile,
+            ...result.plan,
+            linkReport: result.linkReport,
+            cycles: result.cycles,
+            violations: result.violations,
+            destination: result.destination,
+            compatibility: result.compatibility,
+          })),
+          failures,
+        },
+        message: `Dry run completed for ${succeeded.length} locale${
+          succeeded.length !== 1 ? 's' : ''
+        }${failureNote} - no entries were created`,
+      });
+    }
+
+    const allResults = succeeded.map(({ targetLanguage, result }) => ({
+      targetLanguage,
+      ...result,
+    }));
+
+    // Use first result as primary but include all results
     const combinedResult = {
-      ...primaryResult,
-      cloneMapping: allCloneMappings,
+      ...allResults[0],
+      cloneMapping: Object.assign(
+        {},
+        ...allResults.map((result) => result.cloneMapping)
+      ),
       allResults,
       targetLocales: targetLangs,
+      failures,
+      estimate,
     };
 
     res.json({
       success: true,
       data: combinedResult,
-      message: `Clone completed successfully for ${targetLangs.length} locale${
-        targetLangs.length !== 1 ? 's' : ''
-      }`,
+      message: `Clone completed successfully for ${succeeded.length} locale${
+        succeeded.length !== 1 ? 's' : ''
+      }${failureNote}`,
     });
   } catch (error) {
     console.error('❌ Clone operation failed:', error.message);
@@ -374,6 +1197,7 @@ app.post('/api/clone', async (req, res) => {
     res.status(500).json({
       success: false,
       error: error.message || 'Unknown error occurred',
+      ...(error.rollback ? { rollback: error.rollback } : {}),
     });
   }
 });
@@ -427,23 +1251,13 @@ app.get('/api/incremental/status', async (req, res) => {
       }))
     );
 
-    // Helper function to normalize language codes for comparison
-    const normalizeLanguageCode = (lang) => {
-      if (!lang) return '';
-      // Convert it-IT to it, nl-BE to nl, etc.
-      return lang.split('-')[0].toLowerCase();
-    };
-
-    const targetRelationship = relationships.find((rel) => {
-      const relLang = normalizeLanguageCode(
-        rel.translationContext.targetLanguage
-      );
-      const searchLang = normalizeLanguageCode(targetLanguage);
-      console.log(
-        `🔍 DEBUG: Comparing normalized: ${relLang} === ${searchLang}`
-      );
-      return relLang === searchLang;
-    });
+    // Markets match by identifier, alias or culture ('it', 'IT', 'it-IT')
+    const targetRelationship = relationships.find((rel) =>
+      localeRegistry.isSameMarket(
+        rel.translationContext.targetLanguage,
+        targetLanguage
+      )
+    );
     console.log(`🔍 DEBUG: Target relationship found:`, !!targetRelationship);
 
     if (!targetRelationship) {
@@ -495,6 +1309,7 @@ app.post('/api/incremental/update', async (req, res) => {
       spaceId,
       environmentId,
       options = {},
+      confirmBudget = false,
     } = req.body;
 
     if (!sourceEntryId || !targetEntryId || !spaceId || !environmentId) {
@@ -527,6 +1342,35 @@ app.post('/api/incremental/update', async (req, res) => {
     );
     await incrementalService.initialize(spaceId, environmentId);
 
+    // Pre-flight: check the characters of the detected changes against the
+    // provider quota and the space's character budget
+    let estimate;
+    const budget = createCharacterBudget(
+      incrementalService.fieldRules.characterBudget,
+      deeplApiKey
+    );
+    if (budget.active) {
+      try {
+        const language = await incrementalService.estimateUpdateCharacters(
+          sourceEntryId,
+          targetEntryId
+        );
+        estimate = await budget.check([language], {
+          confirmed: !!confirmBudget,
+        });
+      } catch (error) {
+        // Without an estimate the update cannot be checked, so it does not run
+        console.error('❌ Character estimate failed:', error.message);
+        return res.status(500).json({
+          success: false,
+          error: `Character estimate failed - update not run: ${error.message}`,
+        });
+      }
+      if (estimate.decision !== 'proceed') {
+        return sendBudgetRefusal(res, estimate);
+      }
+    }
+
     // Perform incremental update
     const result = await incrementalService.performIncrementalUpdate(
       sourceEntryId,
@@ -536,7 +1380,7 @@ app.post('/api/incremental/update', async (req, res) => {
 
     res.json({
       success: result.success,
-      data: result,
+      data: { ...result, estimate },
       message:
         result.message ||
         (result.success ? 'Update completed successfully' : 'Update failed'),
@@ -603,6 +1447,127 @@ app.get('/api/incremental/relationships/:entryId', async (req, res) => {
   }
 });
 
+// Set or remove the glossary a relationship uses for incremental updates
+app.put(
+  '/api/incremental/relationships/:sourceEntryId/:targetEntryId/glossary',
+  async (req, res) => {
+    try {
+      const { sourceEntryId, targetEntryId } = req.params;
+      const { spaceId, environmentId, glossaryId = null } = req.body;
+
+      if (!spaceId || !environmentId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required parameters: spaceId, environmentId',
+        });
+      }
+
+      const managementToken = process.env.CONTENTFUL_MANAGEMENT_TOKEN;
+
+      if (!managementToken) {
+        return res.status(500).json({
+          success: false,
+          error:
+            'Server configuration error: CONTENTFUL_MANAGEMENT_TOKEN not set',
+        });
+      }
+
+      const cma = contentfulManagement.createClient({
+        accessToken: managementToken,
+      });
+
+      const incrementalService = new ServerIncrementalTranslationService(
+        cma,
+        process.env.DEEPL_API_KEY
+      );
+      await incrementalService.initialize(spaceId, environmentId);
+
+      const translationContext =
+        await incrementalService.setRelationshipGlossary(
+          sourceEntryId,
+          targetEntryId,
+          glossaryId
+        );
+
+      res.json({
+        success: true,
+        data: { sourceEntryId, targetEntryId, translationContext },
+        message: glossaryId
+          ? `Relationship now uses glossary ${glossaryId}`
+          : 'Relationship glossary removed',
+      });
+    } catch (error) {
+      console.error('❌ Error setting relationship glossary:', error.message);
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
+// Set or remove the translation profile a relationship uses for incremental updates
+app.put(
+  '/api/incremental/relationships/:sourceEntryId/:targetEntryId/profile',
+  async (req, res) => {
+    try {
+      const { sourceEntryId, targetEntryId } = req.params;
+      const { spaceId, environmentId, translationProfile = null } = req.body;
+
+      if (!spaceId || !environmentId) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required parameters: spaceId, environmentId',
+        });
+      }
+
+      const managementToken = process.env.CONTENTFUL_MANAGEMENT_TOKEN;
+
+      if (!managementToken) {
+        return res.status(500).json({
+          success: false,
+          error:
+            'Server configuration error: CONTENTFUL_MANAGEMENT_TOKEN not set',
+        });
+      }
+
+      const cma = contentfulManagement.createClient({
+        accessToken: managementToken,
+      });
+
+      const incrementalService = new ServerIncrementalTranslationService(
+        cma,
+        process.env.DEEPL_API_KEY
+      );
+      await incrementalService.initialize(spaceId, environmentId);
+
+      const translationContext =
+        await incrementalService.setRelationshipProfile(
+          sourceEntryId,
+          targetEntryId,
+          translationProfile
+        );
+
+      res.json({
+        success: true,
+        data: { sourceEntryId, targetEntryId, translationContext },
+        message: translationProfile
+          ? `Relationship now uses translation profile ${translationProfile}`
+          : 'Relationship translation profile removed',
+      });
+    } catch (error) {
+      console.error(
+        '❌ Error setting relationship translation profile:',
+        error.message
+      );
+      res.status(500).json({
+        success: false,
+        error: error.message,
+      });
+    }
+  }
+);
+
 // Get backup history for an entry
 app.get('/api/incremental/backups/:entryId', async (req, res) => {
   try {
@@ -827,6 +1792,17 @@ app.use((error, req, res, next) => {
   });
 });
 
+// Validate the field rules before accepting requests
+try {
+  fieldRulesService.load();
+} catch (error) {
+  console.error('❌ Field rules configuration is invalid:', error.message);
+  process.exit(1);
+}
+
+// Check the markets against the translation provider before accepting requests
+validateLocaleRegistry();
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Content Translator API Server running on port ${PORT}`);
@@ -834,6 +1810,28 @@ app.listen(PORT, () => {
   console.log(`   GET  /health - Health check`);
   console.log(`   GET  /api/deepl/status - Check DeepL API connection`);
   console.log(`   POST /api/clone - Clone and translate entry`);
+  console.log(`   GET  /api/config/field-rules - Get effective field rules`);
+  console.log(`   GET  /api/locales - List markets of the locale registry`);
+  console.log(
+    `   POST /api/config/field-rules/reload - Reload field rules file`
+  );
+  console.log(`   GET  /api/glossaries - List DeepL glossaries`);
+  console.log(
+    `   POST /api/glossaries - Create a glossary (JSON, CSV or TSV upload)`
+  );
+  console.log(
+    `   PUT  /api/glossaries/:glossaryId - Replace or merge glossary entries`
+  );
+  console.log(`   DELETE /api/glossaries/:glossaryId - Delete a glossary`);
+  console.log(
+    `   GET  /api/translation-memory - List translation memory entries`
+  );
+  console.log(
+    `   GET  /api/translation-memory/export - Export translation memory (json/csv)`
+  );
+  console.log(
+    `   DELETE /api/translation-memory - Purge translation memory entries`
+  );
   console.log(
     `   GET  /api/incremental/status/:sourceId/:targetId - Check update status`
   );
@@ -263,8 +263,11 @@ export class ChangeDetectionService {
     );
     const storedFieldHashes = relationship?.fieldHashes || {};
 
-    // Generate current field hashes
-    const currentFieldHashes = this.generateFieldHashes(sourceEntry);
+    // Generate current field hashes (source locale only for in-place locale translations)
+    const currentFieldHashes = this.generateFieldHashes(
+      sourceEntry,
+      relationship?.translationContext?.sourceLocale
+    );
 
     // Compare hashes to detect changes
     for (const [fieldName, currentHash] of Object.entries(currentFieldHashes)) {
@@ -310,9 +313,40 @@ export class ChangeDetectionService {
       }
     }
 
+    changes.push(...this.detectTagChanges(sourceEntry, relationship));
+
     return changes;
   }
 
+  /**
+   * Detect changed tags or taxonomy concepts of the source entry. Only
+   * relationships that track tags (clones made with tag copying enabled)
+   * are checked; in-place locale translations share the source's tags
+   */
+  detectTagChanges(sourceEntry, relationship) {
+    const storedHash = relationship?.metadata?.tagsHash;
+    if (storedHash == null || relationship.translationContext?.targetLocale) {
+      return [];
+    }
+
+    if (storedHash === this.generateTagsHash(sourceEntry)) {
+      return [];
+    }
+
+    console.log(`🏷️ Tags changed on entry ${sourceEntry.sys.id}`);
+    return [
+      {
+        fieldName: 'metadata.tags',
+        type: 'tags',
+        changeType: 'modified',
+        oldValue: null,
+        newValue: sourceEntry.metadata || {},
+        isTranslatable: false,
+        needsTranslation: false,
+      },
+    ];
+  }
+
   /**
    * Group reference changes by the field that contains them
    */
@@ -617,10 +651,14 @@ export class ChangeDetectionService {
   /**
    * Generate field hashes for change detection
    */
-  generateFieldHashes(entry) {
+  generateFieldHashes(entry, sourceLocale) {
     const fieldHashes = {};
 
-    for (const [fieldId, fieldValue] of Object.entries(entry.fields || {})) {
+    for (let [fieldId, fieldValue] of Object.entries(entry.fields || {})) {
+      if (sourceLocale) {
+        if (fieldValue?.[sourceLocale] === undefined) continue;
+        fieldValue = { [sourceLocale]: fieldValue[sourceLocale] };
+      }
       if (this.isTranslatableField(fieldId, fieldValue)) {
         fieldHashes[fieldId] = this.generateFieldHash(fieldValue);
       }
@@ -629,6 +667,17 @@ export class ChangeDetectionService {
     return fieldHashes;
   }
 
+  /**
+   * Hash the tag and taxonomy concept IDs of an entry, in any order
+   */
+  generateTagsHash(entry) {
+    const ids = (links) => (links || []).map((link) => link.sys.id).sort();
+    return this.generateFieldHash({
+      tags: ids(entry.metadata?.tags),
+      concepts: ids(entry.metadata?.concepts),
+    });
+  }
+
   /**
    * Generate hash for a specific field
    */
@@ -697,7 +746,9 @@ export class ChangeDetectionService {
     // Check if it's a localized text field
     if (this.isLocalizedField(fieldValue)) {
       const values = Object.values(fieldValue);
-      return values.some((value) => typeof value === 'string');
+      return values.some(
+        (value) => typeof value === 'string' || value?.nodeType === 'document'
+      );
     }
 
     // Rich text and markdown fields
@@ -0,0 +1,202 @@
+/**
+ * Character Budget Service
+ * Pre-flight check of clones and incremental updates: compares the characters
+ * an operation would send to the translation provider, per target language,
+ * with the remaining provider quota and the `characterBudget` field rules of
+ * the space, and decides whether the operation may run
+ */
+
+// What happens when an estimate exceeds the space budget; the first one is
+// the default. Exceeding the provider quota always refuses the operation
+export const BUDGET_ACTIONS = ['confirm', 'refuse'];
+
+/**
+ * Provider for estimates: counts the characters it is asked to translate and
+ * returns the texts unchanged. Glossary lookups go to the wrapped provider,
+ * so glossaries resolve (and memory keys match) like in a real run
+ */
+export class CountingTranslationProvider {
+  constructor(translator) {
+    this.translator = translator;
+    this.name = translator.name;
+    this.characterCount = 0;
+  }
+
+  async translateText(texts, sourceLanguage) {
+    const count = (text) => {
+      this.characterCount += text.length;
+      return {
+        text,
+        detectedSourceLang: (sourceLanguage || '').toLowerCase(),
+      };
+    };
+
+    return Array.isArray(texts) ? texts.map(count) : count(texts);
+  }
+
+  async getUsage() {
+    return this.translator.getUsage();
+  }
+
+  async getGlossaryLanguagePairs() {
+    return this.translator.getGlossaryLanguagePairs();
+  }
+
+  async listGlossaries() {
+    return this.translator.listGlossaries();
+  }
+
+  async getGlossary(glossary) {
+    return this.translator.getGlossary(glossary);
+  }
+
+  async getGlossaryEntries(glossary) {
+    return this.translator.getGlossaryEntries(glossary);
+  }
+}
+
+export class CharacterBudgetService {
+  /**
+   * @param {object} rules - The `characterBudget` field rules of the space
+   * @param {object} translator - Provider whose quota is checked (null: no quota)
+   */
+  constructor(rules = {}, translator = null) {
+    this.enabled = rules.enabled === true;
+    this.maxCharacters = rules.maxCharacters || null; // 0 or unset: no space budget
+    this.checkQuota = rules.checkQuota === true;
+    this.onExceed = rules.onExceed || BUDGET_ACTIONS[0];
+    this.translator = translator;
+  }
+
+  /**
+   * Whether operations need a pre-flight estimate: the budget is enabled and
+   * there is a space budget or a quota to check. Estimating walks the whole
+   * tree once more, so it is skipped when there is nothing to compare with
+   */
+  get active() {
+    return this.enabled && (this.maxCharacters !== null || this.checkQuota);
+  }
+
+  /**
+   * Characters used and left of the provider quota. Null when the quota is
+   * not checked or the provider cannot report its usage; `remaining` is null
+   * for unlimited providers
+   */
+  async getQuota() {
+    if (!this.checkQuota || !this.translator) {
+      return null;
+    }
+
+    try {
+      const usage = await this.translator.getUsage();
+      const count = usage.character?.count || 0;
+      const limit = usage.character?.limit ?? null;
+      return {
+        provider: this.translator.name,
+        count,
+        limit,
+        remaining: limit === null ? null : Math.max(limit - count, 0),
+      };
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not read ${this.translator.name} usage: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Compare an estimate with the quota and the space budget.
+   * `decision` is 'proceed', 'confirm' (the caller has to repeat the request
+   * with confirmation) or 'refuse'
+   * @param {Array<{targetLanguage: string, characters: number}>} languages
+   * @param {object} options
+   * @param {boolean} options.confirmed - The caller confirmed an over-budget operation
+   */
+  async check(languages, { confirmed = false } = {}) {
+    const totalCharacters = languages.reduce(
+      (total, language) => total + (language.characters || 0),
+      0
+    );
+    const quota = await this.getQuota();
+
+    const exceeded = [];
+    if (quota?.remaining != null && totalCharacters > quota.remaining) {
+      exceeded.push('quota');
+    }
+    if (this.maxCharacters !== null && totalCharacters > this.maxCharacters) {
+      exceeded.push('budget');
+    }
+
+    let decision = 'proceed';
+    if (
+      exceeded.includes('quota') ||
+      (exceeded.length > 0 && this.onExceed === 'refuse')
+    ) {
+      decision = 'refuse';
+    } else if (exceeded.length > 0 && !confirmed) {
+      decision = 'confirm';
+    }
+
+    const estimate = {
+      languages,
+      totalCharacters,
+      quota,
+      budget: { maxCharacters: this.maxCharacters, onExceed: this.onExceed },
+      exceeded,
+      decision,
+    };
+
+    console.log(
+      `💰 Character estimate: ${totalCharacters} characters (${languages
+        .map(
+          ({ targetLanguage, characters }) => `${targetLanguage}: ${characters}`
+        )
+        .join(', ')}) - ${decision}`
+    );
+    return estimate;
+  }
+
+  /**
+   * Error message of an estimate that was not allowed to proceed
+   */
+  static describe(estimate) {
+    const reasons = estimate.exceeded.map((limit) =>
+      limit === 'quota'
+        ? `the remaining ${estimate.quota.provider} quota of ${estimate.quota.remaining}`
+        : `the space budget of ${estimate.budget.maxCharacters}`
+    );
+    const action =
+      estimate.decision === 'confirm'
+        ? ' - repeat the request with confirmBudget: true to proceed'
+        : '';
+    return `Estimated ${
+      estimate.totalCharacters
+    } characters exceed ${reasons.join(' and ')}${action}`;
+  }
+
+  /**
+   * Count the translatable characters of a string, list, Rich Text node or locale map
+   */
+  static countCharacters(value) {
+    if (typeof value === 'string') {
+      return value.length;
+    }
+    if (Array.isArray(value)) {
+      return value.reduce(
+        (total, item) => total + CharacterBudgetService.countCharacters(item),
+        0
+      );
+    }
+    if (value?.nodeType === 'text') {
+      return (value.value || '').length;
+    }
+    if (value?.nodeType) {
+      return CharacterBudgetService.countCharacters(value.content || []);
+    }
+    if (value && typeof value === 'object' && !value.sys) {
+      return CharacterBudgetService.countCharacters(Object.values(value));
+    }
+    return 0;
+  }
+}
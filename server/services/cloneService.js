@@ -3,125 +3,100 @@
  * Ported from the sophisticated clone-entry.ts script logic with full deepl-node support
  */
 
-import * as deepl from 'deepl-node';
+import { fieldRulesService } from './fieldRulesService.js';
+import { RichTextTranslator } from './richTextTranslator.js';
+import { MarkdownTranslator } from './markdownTranslator.js';
+import { PublishService } from './publishService.js';
+import { SlugService } from './slugService.js';
+import { ReferencePolicyService } from './referencePolicyService.js';
+import { TranslationBatcher } from './translationBatcher.js';
+import { translationMemoryService } from './translationMemoryService.js';
+import { GlossaryService } from './glossaryService.js';
+import { TextProtector } from './textProtector.js';
+import { LinkRewriteService } from './linkRewriteService.js';
+import { ContentfulMetadataService } from './contentfulMetadataService.js';
+import { TranslationProfileService } from './translationProfileService.js';
+import { createTranslationProvider } from './translationProviders.js';
+import { localeRegistry } from './localeRegistry.js';
+import { FieldValidationService } from './fieldValidationService.js';
+import { CharacterBudgetService } from './characterBudgetService.js';
+import { ContentTypeCompatibilityService } from './contentTypeCompatibilityService.js';
+import { TagMappingService } from './tagMappingService.js';
 
 export class ServerContentfulCloneService {
-  constructor(cmaClient, deeplApiKey) {
+  /**
+   * @param {object} cmaClient - Contentful management client
+   * @param {string} deeplApiKey
+   * @param {object} options
+   * @param {object} options.translator - Provider to use instead of the configured one
+   * @param {object} options.memory - Translation memory to use instead of the shared one
+   */
+  constructor(cmaClient, deeplApiKey, options = {}) {
     this.cma = cmaClient;
     this.space = null;
     this.environment = null;
     this.spaceId = null;
     this.environmentId = null;
+    this.targetEnvironment = null; // Environment clones are written to
+    this.destination = null; // { spaceId, environmentId } clones are written to
+    this.crossLocation = false; // Clones go to another space or environment than the source
+    this.compatibility = null; // Content type compatibility report of a cross-location clone
     this.cloneMap = new Map(); // Maps original ID to cloned ID
     this.processingSet = new Set(); // Tracks items being processed to handle circular refs
     this.contentTypeCache = new Map(); // Cache content type schemas
-    this.mainCmsPageSourceLanguage = null; // Source language from the main CmsPage entry
+    this.sourceCache = null; // SourceTreeCache shared with clones into other languages
+    this.rootSourceLanguage = null; // Source language detected for the root entry
+    this.assetMode = 'reuse'; // 'reuse' links original assets, 'clone' creates translated copies
     this.currentEntryContentType = null; // Track current entry being processed
+    this.dryRun = false; // Walk the tree without creating anything
+    this.dryRunPlan = []; // Would-be actions collected during a dry run
+    this.createdItems = []; // Entries and assets created by the current run, in creation order
+    this.linkedReferences = new Map(); // Maps Entry:id to 'share'/'lookup' for links kept instead of cloned
+    this.pendingClones = []; // Entries and assets planned by the tree walk, children first
+    this.pendingIds = new Map(); // Maps pending placeholder IDs to the IDs of created clones
+    this.cycles = []; // Reference cycles found by the tree walk
+    this.backReferences = []; // Created entries whose links back into a cycle are patched last
     this.translator = null;
+    this.glossaryService = null;
+    this.glossary = null; // DeepL glossary info used for the current target language
+    this.translationProfile = { name: null, options: {} }; // DeepL option profile of the current run
 
-    // Configuration ported from the original script
-    this.prefixConfig = {
-      prefix: '[Clone]',
-      targetFields: ['title'], // Only add [Clone] prefix to title field
-      fieldTypes: ['Symbol', 'Text'],
-    };
+    // Field rules (prefix, empty, copy-as-is, author, markdown) come from the
+    // shared rules configuration and are re-resolved per space in cloneEntry()
+    this.applyFieldRules(fieldRulesService.getRules());
+
+    // DeepL by default, or the engine selected with TRANSLATION_PROVIDER
+    const translator =
+      options.translator || createTranslationProvider({ deeplApiKey });
 
     this.translationConfig = {
-      enabled: !!deeplApiKey,
+      enabled: !!translator,
       sourceLanguage: '',
       targetLanguage: 'IT',
       translateableTypes: ['Symbol', 'Text'],
       preservePrefix: true, // Preserve the [Clone] prefix during translation
-      markdownMethod: 'html-only',
+      markdownMethod: 'ast',
       usePreprocessing: false,
     };
 
-    this.cultureMapping = {
-      EN: 'en-GB',
-      DE: 'de-DE',
-      FR: 'fr-FR',
-      IT: 'it-IT',
-      ES: 'es-ES',
-      NL: 'nl-NL',
-      PT: 'pt-PT',
-      RU: 'ru-RU',
-      BG: 'bg-BG',
-      CS: 'cs-CZ',
-      HR: 'hr-HR',
-      HU: 'hu-HU',
-      PL: 'pl-PL',
-      RO: 'ro-RO',
-      SV: 'sv-SE',
-      TR: 'tr-TR',
-      UK: 'uk-UA',
-      CA: 'en-CA',
-      'FR-CA': 'fr-CA',
-      'FR-BE': 'fr-BE',
-      'NL-BE': 'nl-BE',
-      'FR-LU': 'fr-LU',
-    };
-
-    this.cultureFieldNames = ['culture'];
-
-    this.emptyFieldsConfig = {
-      enabled: true,
-      fieldIds: ['slug', 'parentPage', 'productionUrl', 'authors'],
-    };
-
-    this.copyAsIsConfig = {
-      enabled: true,
-      fieldIds: [
-        'domain',
-        'pageType',
-        'productionUrl',
-        'makeModel',
-        'publicationDate',
-        'lastModificationDate',
-        'makeIds',
-        'modelIds',
-        'trackingName',
-      ],
-    };
-
-    this.authorConfig = {
-      enabled: true,
-      fieldIds: ['authors'],
-      authorContentType: 'author',
-      matchFields: ['name'],
-      cultureField: 'locale',
-    };
-
-    this.markdownFieldsConfig = {
-      enabled: true,
-      fieldMappings: {
-        author: ['bio'],
-        cmsPage: ['teaserText'],
-        evmodelfinder: ['additional_information'],
-        questionAnswer: ['answerLong'],
-        infobox: ['text'],
-        scSuperhero: ['text', 'bulletList'],
-        scBenefit: ['text'],
-        scMediaSection: ['text', 'bulletList'],
-        scTeaser: ['text'],
-        scText: ['content'],
-        tierPricingTableCell: ['content', 'tooltipText'],
-        tierPricingPlanTableSection: ['tooltipText'],
-        tierPricingPlan: ['description'],
-      },
-    };
-
-    // Initialize DeepL translator if API key is available
     console.log(
       `🔧 Translation config - enabled: ${
         this.translationConfig.enabled
       }, API key available: ${!!deeplApiKey}`
     );
-    if (this.translationConfig.enabled && deeplApiKey) {
-      this.translator = new deepl.Translator(deeplApiKey);
-      console.log('🌐 DeepL Translator initialized successfully');
+    if (translator) {
+      this.translator = translator;
+      this.batcher = new TranslationBatcher(this.translator, {
+        memory: options.memory || translationMemoryService,
+        protector: this.protector,
+      });
+      this.glossaryService = new GlossaryService(this.translator);
+      console.log(
+        `🌐 Translator initialized successfully (${translator.name})`
+      );
     } else {
       console.log(
-        '⚠️ DeepL Translator NOT initialized - translation will be skipped'
+        '⚠️ Translator NOT initialized - translation will be skipped'
       );
     }
   }
@@ -134,73 +109,272 @@ export class ServerContentfulCloneService {
       sourceEntryId,
       spaceId,
       environmentId,
-      sourceLanguage = 'de',
+      sourceLanguage,
       targetLanguage = 'it',
+      assetMode = 'reuse',
+      dryRun = false,
+      rollbackMode = 'delete',
+      publish = false,
+      glossaryId = null,
+      translationProfile = null,
+      sourceCache = null,
+      destinationSpaceId = spaceId,
+      destinationEnvironmentId = environmentId,
       onProgress,
     } = options;
 
+    if (!['reuse', 'clone'].includes(assetMode)) {
+      throw new Error(
+        `Invalid assetMode '${assetMode}' - expected 'reuse' or 'clone'`
+      );
+    }
+
+    if (!['delete', 'archive'].includes(rollbackMode)) {
+      throw new Error(
+        `Invalid rollbackMode '${rollbackMode}' - expected 'delete' or 'archive'`
+      );
+    }
+
     this.spaceId = spaceId;
     this.environmentId = environmentId;
+    this.assetMode = assetMode;
+    this.dryRun = dryRun;
+    this.dryRunPlan = [];
+    this.createdItems = [];
 
-    // Convert target language to DeepL format (lowercase)
+    // The target market; DeepL gets its code from the locale registry
     this.translationConfig.targetLanguage = targetLanguage.toLowerCase();
+    this.glossary = await this.resolveGlossary(glossaryId);
     this.cloneMap.clear();
     this.processingSet.clear();
+    this.linkedReferences.clear();
+    this.pendingClones = [];
+    this.pendingIds.clear();
+    this.cycles = [];
+    this.backReferences = [];
 
     console.log(
-      `🌍 Language configuration: source=${sourceLanguage}, target=${targetLanguage} → DeepL target: ${this.translationConfig.targetLanguage}`
+      `🌍 Language configuration: source=${
+        sourceLanguage || 'auto'
+      }, target=${targetLanguage} → DeepL target: ${this.getDeepLTargetLanguage()}`
     );
 
     onProgress?.('🔍 Initializing Contentful connection...');
 
-    // Initialize space and environment references
-    this.space = await this.cma.getSpace(spaceId);
-    this.environment = await this.space.getEnvironment(environmentId);
+    // Initialize space and environment references; with a shared source
+    // cache, the source tree and field rules are read through it
+    this.sourceCache = sourceCache;
+    if (sourceCache) {
+      this.environment = sourceCache.environment;
+    } else {
+      this.space = await this.cma.getSpace(spaceId);
+      this.environment = await this.space.getEnvironment(environmentId);
+    }
+
+    // Clones are written next to the source, or to the destination space or
+    // environment of a cross-location clone
+    this.destination = {
+      spaceId: destinationSpaceId,
+      environmentId: destinationEnvironmentId,
+    };
+    this.crossLocation =
+      destinationSpaceId !== spaceId ||
+      destinationEnvironmentId !== environmentId;
+    this.targetEnvironment = this.crossLocation
+      ? await (
+          await this.cma.getSpace(destinationSpaceId)
+        ).getEnvironment(destinationEnvironmentId)
+      : this.environment;
+    this.compatibility = null;
+    this.compatibilityService = this.crossLocation
+      ? new ContentTypeCompatibilityService(this.targetEnvironment)
+      : null;
+
+    // Load the field rules configured for this space and environment
+    this.applyFieldRules(
+      sourceCache
+        ? await sourceCache.getFieldRules()
+        : await fieldRulesService.resolveRules(
+            spaceId,
+            environmentId,
+            this.environment
+          )
+    );
+    this.translationProfile = this.translationProfiles.resolve(
+      this.translationConfig.targetLanguage,
+      translationProfile
+    );
+    this.slugService = new SlugService(this.targetEnvironment);
+    this.fieldValidation = new FieldValidationService(
+      this.fieldValidationConfig,
+      this.targetEnvironment
+    );
+    this.referencePolicies = new ReferencePolicyService(
+      {
+        referencePolicies: this.referencePoliciesConfig,
+        author: this.authorConfig,
+      },
+      this.targetEnvironment
+    );
+    this.tagMapping = new TagMappingService(
+      this.tagsConfig,
+      this.targetEnvironment,
+      this.cma
+    );
 
     onProgress?.('🔍 Fetching source entry...');
 
     // Get the source entry
-    const sourceEntry = await this.environment.getEntry(sourceEntryId);
+    const sourceEntry = await this.getSourceEntry(sourceEntryId);
 
-    // Validate that the entry is a CmsPage
+    // Validate that the entry is a configured root content type
     const contentTypeId = sourceEntry.sys.contentType.sys.id;
-    if (contentTypeId !== 'cmsPage') {
+    const rootConfig = this.getRootContentTypeConfig(contentTypeId);
+    if (!rootConfig) {
       throw new Error(
-        `❌ This tool only works with CmsPage content type. Found: ${contentTypeId}`
+        `❌ Content type '${contentTypeId}' cannot be cloned. Supported root content types: ${Object.keys(
+          this.rootContentTypesConfig
+        ).join(', ')}`
       );
     }
 
     onProgress?.('🌍 Detecting source language...');
 
-    // Detect source language from culture field
-    this.mainCmsPageSourceLanguage = this.detectSourceLocaleFromEntry(
-      sourceEntry.fields
+    this.rootSourceLanguage = this.resolveRootSourceLanguage(
+      sourceEntry,
+      rootConfig,
+      sourceLanguage
     );
-    if (!this.mainCmsPageSourceLanguage) {
+    if (!this.rootSourceLanguage) {
       throw new Error(
-        'Main CmsPage entry is missing required culture field for source language detection'
+        `Could not detect the source language of the ${contentTypeId} entry: ${this.describeSourceLanguageOptions(
+          rootConfig
+        )}`
       );
     }
 
     onProgress?.(
-      `📋 Cloning entry with detected source language: ${this.mainCmsPageSourceLanguage}`
+      `📋 ${
+        dryRun ? 'Previewing clone' : 'Cloning entry'
+      } with detected source language: ${this.rootSourceLanguage}`
     );
 
-    // Clone the entry using the original script logic
-    const clonedEntryId = await this.cloneEntryRecursive(
-      sourceEntry,
-      spaceId,
-      environmentId,
-      'en-US-POSIX', // Always use default Contentful locale for field storage
-      onProgress
+    // Links in the translated tree are pointed at the target market
+    this.linkRewriter = new LinkRewriteService(
+      {
+        linkRewriting: this.linkRewritingConfig,
+        slug: this.slugConfig,
+        rootContentTypes: this.rootContentTypesConfig,
+      },
+      this.environment,
+      {
+        sourceCulture:
+          (rootConfig.cultureField &&
+            sourceEntry.fields[rootConfig.cultureField]?.['en-US-POSIX']) ||
+          localeRegistry.getCulture(this.rootSourceLanguage),
+        targetCulture: this.getCultureValue(),
+        targetLanguage: this.translationConfig.targetLanguage,
+        findTreePage: (sourceEntryId) => this.findTreePage(sourceEntryId),
+        metadataService: new ContentfulMetadataService(this.environment),
+        targetEnvironment: this.targetEnvironment,
+        sourceLocation: { spaceId, environmentId },
+        destinationLocation: this.destination,
+      }
     );
 
+    // The tree is only walked once the destination is known to accept its
+    // entries; the content types are collected from the (cached) source tree
+    if (this.crossLocation) {
+      onProgress?.('🧩 Checking content types in the destination...');
+      this.compatibility = await this.checkContentTypeCompatibility(
+        sourceEntry
+      );
+      if (!this.compatibility.compatible && !dryRun) {
+        const error = new Error(
+          `Destination ${destinationSpaceId}/${destinationEnvironmentId} is not compatible: ${this.compatibility.issues
+            .filter(({ blocking }) => blocking)
+            .map(
+              ({ contentTypeId, fieldId, issue }) =>
+                `${contentTypeId}${fieldId ? `.${fieldId}` : ''} (${issue})`
+            )
+            .join(', ')}`
+        );
+        error.compatibility = this.compatibility;
+        throw error;
+      }
+    }
+
+    // Clone in three phases: walk the tree queueing every translation, send
+    // them to DeepL in batches, then create the clones children-first. A
+    // failure removes everything created so far so no orphaned entries stay
+    let clonedEntryId;
+    try {
+      this.batcher?.collect();
+      const rootPlaceholderId = await this.cloneEntryRecursive(
+        sourceEntry,
+        spaceId,
+        environmentId,
+        'en-US-POSIX', // Always use default Contentful locale for field storage
+        onProgress
+      );
+
+      if (this.batcher) {
+        onProgress?.(
+          `🌐 Translating ${this.batcher.stats.segments} segments in batches...`
+        );
+        await this.batcher.drain();
+        onProgress?.(
+          `🌐 Translated ${this.batcher.stats.segments} segments in ${this.batcher.stats.requests} DeepL requests (${this.batcher.stats.memoryHits} from translation memory)`
+        );
+      }
+
+      await this.createPendingClones(onProgress);
+      clonedEntryId =
+        this.pendingIds.get(rootPlaceholderId) || rootPlaceholderId;
+    } catch (error) {
+      this.batcher?.cancel(`Clone failed: ${error.message}`);
+      onProgress?.(`❌ Clone failed: ${error.message}`);
+      error.rollback = await this.rollbackCreatedItems(
+        rollbackMode,
+        onProgress
+      );
+      throw error;
+    }
+
     // Generate URLs
     const originalUrl = `https://app.contentful.com/spaces/${spaceId}/environments/${environmentId}/entries/${sourceEntryId}`;
-    const clonedUrl = `https://app.contentful.com/spaces/${spaceId}/environments/${environmentId}/entries/${clonedEntryId}`;
+
+    if (dryRun) {
+      onProgress?.('✅ Dry run completed - nothing was created');
+      return {
+        dryRun: true,
+        originalUrl,
+        originalEntryId: sourceEntryId,
+        clonedEntryId,
+        sourceLanguage: this.rootSourceLanguage,
+        translationProfile: this.translationProfile.name,
+        plan: this.summarizeDryRunPlan(),
+        linkReport: this.linkRewriter.report,
+        cycles: this.cycles,
+        violations: this.fieldValidation.violations,
+        destination: this.destination,
+        compatibility: this.compatibility,
+      };
+    }
+
+    const clonedUrl = `https://app.contentful.com/spaces/${destinationSpaceId}/environments/${destinationEnvironmentId}/entries/${clonedEntryId}`;
 
     onProgress?.('✅ Clone completed successfully!');
 
+    // Publish the new tree leaves-first; failures are reported, not rolled back
+    const publishReport = publish
+      ? await new PublishService(this.targetEnvironment).publishTree(
+          clonedEntryId,
+          this.createdItems.map(({ type, id }) => ({ type, id })),
+          { onProgress }
+        )
+      : undefined;
+
     const cloneMapping = Object.fromEntries(this.cloneMap);
     console.log(`🔍 DEBUG - Final cloneMap size: ${this.cloneMap.size}`);
     console.log(`🔍 DEBUG - Final cloneMapping:`, cloneMapping);
@@ -211,71 +385,367 @@ export class ServerContentfulCloneService {
       clonedUrl,
       originalEntryId: sourceEntryId,
       clonedEntryId,
+      sourceLanguage: this.rootSourceLanguage,
+      glossaryId,
+      translationProfile: this.translationProfile.name,
       cloneMapping,
+      linkedReferences: Object.fromEntries(this.linkedReferences),
+      linkReport: this.linkRewriter.report,
+      cycles: this.cycles,
+      violations: this.fieldValidation.violations,
+      destination: this.destination,
+      compatibility: this.compatibility,
+      publishReport,
     };
   }
 
+  /**
+   * Localize an entry tree in place: translate into the target locale slot of
+   * the same entries instead of creating clones (for spaces with real locales).
+   * Entries in `skipEntryIds` (already localized ones) are left alone
+   */
+  async localizeEntry(options) {
+    const {
+      sourceEntryId,
+      spaceId,
+      environmentId,
+      sourceLanguage,
+      sourceLocale,
+      targetLanguage = 'it',
+      targetLocale,
+      glossaryId = null,
+      translationProfile = null,
+      skipEntryIds = [],
+      onProgress,
+    } = options;
+
+    this.spaceId = spaceId;
+    this.environmentId = environmentId;
+    this.translationConfig.targetLanguage = targetLanguage.toLowerCase();
+    this.glossary = await this.resolveGlossary(glossaryId);
+    this.localizedEntries = new Map(); // Maps entry ID to localized field IDs
+    // Entry IDs being localized (cycle guard) or not to be localized
+    this.localizingEntries = new Set(skipEntryIds);
+    this.sourceCache = null; // Entries are updated in place, so they are always read fresh
+
+    onProgress?.('🔍 Initializing Contentful connection...');
+
+    this.space = await this.cma.getSpace(spaceId);
+    this.environment = await this.space.getEnvironment(environmentId);
+
+    this.applyFieldRules(
+      await fieldRulesService.resolveRules(
+        spaceId,
+        environmentId,
+        this.environment
+      )
+    );
+    this.translationProfile = this.translationProfiles.resolve(
+      this.translationConfig.targetLanguage,
+      translationProfile
+    );
+
+    // Resolve and validate the locales against the environment
+    const locales = await this.environment.getLocales();
+    const localeCodes = locales.items.map((locale) => locale.code);
+    const effectiveSourceLocale =
+      sourceLocale || locales.items.find((locale) => locale.default)?.code;
+    const effectiveTargetLocale = targetLocale || this.getCultureValue();
+
+    for (const [role, code] of [
+      ['Source', effectiveSourceLocale],
+      ['Target', effectiveTargetLocale],
+    ]) {
+      if (!code || !localeCodes.includes(code)) {
+        throw new Error(
+          `${role} locale '${code}' is not configured in environment ${environmentId}. Available locales: ${localeCodes.join(
+            ', '
+          )}`
+        );
+      }
+    }
+    if (effectiveSourceLocale === effectiveTargetLocale) {
+      throw new Error(
+        `Source and target locale are both '${effectiveTargetLocale}'`
+      );
+    }
+
+    this.localeModeConfig = {
+      sourceLocale: effectiveSourceLocale,
+      targetLocale: effectiveTargetLocale,
+    };
+    this.rootSourceLanguage = this.normalizeSourceLanguage(
+      sourceLanguage || effectiveSourceLocale
+    );
+
+    onProgress?.(
+      `🌍 Localizing ${effectiveSourceLocale} (${this.rootSourceLanguage}) → ${effectiveTargetLocale}`
+    );
+
+    const sourceEntry = await this.environment.getEntry(sourceEntryId);
+    await this.localizeEntryRecursive(sourceEntry, onProgress);
+
+    onProgress?.('✅ Localization completed successfully!');
+
+    const entryUrl = `https://app.contentful.com/spaces/${spaceId}/environments/${environmentId}/entries/${sourceEntryId}`;
+
+    return {
+      mode: 'localize',
+      originalUrl: entryUrl,
+      clonedUrl: entryUrl,
+      originalEntryId: sourceEntryId,
+      clonedEntryId: sourceEntryId,
+      sourceLanguage: this.rootSourceLanguage,
+      glossaryId,
+      translationProfile: this.translationProfile.name,
+      sourceLocale: effectiveSourceLocale,
+      targetLocale: effectiveTargetLocale,
+      localizedEntries: [...this.localizedEntries].map(
+        ([entryId, fieldIds]) => ({ entryId, fieldIds })
+      ),
+      // Every entry maps to itself so incremental updates find their targets
+      cloneMapping: Object.fromEntries(
+        [...this.localizedEntries.keys()].map((entryId) => [
+          `Entry:${entryId}`,
+          entryId,
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Write the target locale of an entry and of every entry it references
+   */
+  async localizeEntryRecursive(entry, onProgress) {
+    const entryId = entry.sys.id;
+    if (
+      this.localizedEntries.has(entryId) ||
+      this.localizingEntries.has(entryId)
+    ) {
+      return;
+    }
+    this.localizingEntries.add(entryId);
+
+    const contentTypeId = entry.sys.contentType.sys.id;
+    const contentType = await this.getContentType(contentTypeId);
+    const { sourceLocale, targetLocale } = this.localeModeConfig;
+    const localizedFieldIds = [];
+
+    onProgress?.(`🔄 Localizing entry: ${entryId}`);
+
+    for (const fieldDef of contentType.fields) {
+      const fieldId = fieldDef.id;
+      const fieldValue = entry.fields[fieldId];
+      if (!fieldValue) continue;
+
+      // Referenced entries are localized whether or not the link field is localized
+      for (const localeValue of Object.values(fieldValue)) {
+        await this.localizeLinkedEntries(localeValue, onProgress);
+      }
+
+      if (
+        !fieldDef.localized ||
+        fieldValue[sourceLocale] === undefined ||
+        this.shouldEmptyField(fieldId) ||
+        this.isCultureField(fieldId, contentTypeId)
+      ) {
+        continue;
+      }
+
+      const sourceValue = fieldValue[sourceLocale];
+      entry.fields[fieldId][targetLocale] =
+        this.shouldCopyAsIs(fieldId) || this.isAuthorField(fieldId)
+          ? sourceValue
+          : await this.translateLocalizedValue(
+              sourceValue,
+              fieldDef,
+              contentTypeId,
+              onProgress
+            );
+      localizedFieldIds.push(fieldId);
+    }
+
+    if (localizedFieldIds.length > 0) {
+      await entry.update();
+    }
+    // Only written entries are reported and tracked by incremental updates
+    this.localizedEntries.set(entryId, localizedFieldIds);
+    this.localizingEntries.delete(entryId);
+
+    onProgress?.(
+      `✓ Localized entry ${entryId} → ${targetLocale} (${localizedFieldIds.length} fields)`
+    );
+  }
+
+  /**
+   * Localize the entries linked from a field value. A linked entry that
+   * cannot be localized fails the run, like a child of a clone
+   */
+  async localizeLinkedEntries(value, onProgress) {
+    const links = Array.isArray(value) ? value : [value];
+
+    for (const link of links) {
+      if (link?.sys?.type !== 'Link' || link.sys.linkType !== 'Entry') {
+        continue;
+      }
+      try {
+        const linkedEntry = await this.environment.getEntry(link.sys.id);
+        await this.localizeEntryRecursive(linkedEntry, onProgress);
+      } catch (error) {
+        console.error(
+          `❌ Could not localize linked entry ${link.sys.id}: ${error.message}`
+        );
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Translate a source locale value for the target locale slot
+   */
+  async translateLocalizedValue(value, fieldDef, contentTypeId, onProgress) {
+    const sourceLanguage = this.rootSourceLanguage;
+
+    if (this.isMarkdownField(contentTypeId, fieldDef.id)) {
+      if (Array.isArray(value)) {
+        return await this.translateBulletList(value, sourceLanguage);
+      }
+      if (typeof value === 'string') {
+        return await this.translateMarkdownContent(value, sourceLanguage);
+      }
+    }
+
+    if (typeof value === 'string') {
+      return await this.translateText(value, fieldDef.type, sourceLanguage);
+    }
+
+    if (RichTextTranslator.isRichTextDocument(value)) {
+      // Embedded entries keep their links and get localized themselves
+      const richTextTranslator = new RichTextTranslator({
+        translateSegment: (xml, context) =>
+          this.translateXmlSegment(xml, sourceLanguage, context),
+        remapLink: async (link) => {
+          await this.localizeLinkedEntries(link, onProgress);
+          return link;
+        },
+      });
+      return await richTextTranslator.translateDocument(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Apply a resolved field rule set to the clone configuration
+   */
+  applyFieldRules(rules) {
+    this.prefixConfig = rules.prefix;
+    this.cultureFieldNames = rules.cultureFieldNames;
+    this.emptyFieldsConfig = rules.emptyFields;
+    this.copyAsIsConfig = rules.copyAsIs;
+    this.authorConfig = rules.author;
+    this.markdownFieldsConfig = rules.markdownFields;
+    this.rootContentTypesConfig = rules.rootContentTypes || {};
+    this.slugConfig = rules.slug || { enabled: false };
+    this.referencePoliciesConfig = rules.referencePolicies || {};
+    this.linkRewritingConfig = rules.linkRewriting || { enabled: false };
+    this.fieldValidationConfig = rules.fieldValidation || { enabled: false };
+    this.tagsConfig = rules.tags || { enabled: false };
+    this.translationProfiles = new TranslationProfileService(rules);
+    this.protector = new TextProtector(rules.protection);
+    if (this.batcher) {
+      this.batcher.protector = this.protector;
+    }
+  }
+
+  /**
+   * Get the root configuration for a content type, or null if it cannot be a clone root
+   */
+  getRootContentTypeConfig(contentTypeId) {
+    return this.rootContentTypesConfig[contentTypeId] || null;
+  }
+
+  /**
+   * Resolve the root entry source language: culture field, then request, then default
+   */
+  resolveRootSourceLanguage(sourceEntry, rootConfig, requestedLanguage) {
+    if (rootConfig.cultureField) {
+      const detected = this.detectSourceLocaleFromEntry(sourceEntry.fields, [
+        rootConfig.cultureField,
+      ]);
+      if (detected) {
+        console.log(
+          `🌍 Source language from '${rootConfig.cultureField}' field: ${detected}`
+        );
+        return detected;
+      }
+    }
+
+    if (rootConfig.useRequestLanguage && requestedLanguage) {
+      const normalized = this.normalizeSourceLanguage(requestedLanguage);
+      console.log(`🌍 Source language from request parameter: ${normalized}`);
+      return normalized;
+    }
+
+    if (rootConfig.defaultSourceLanguage) {
+      const normalized = this.normalizeSourceLanguage(
+        rootConfig.defaultSourceLanguage
+      );
+      console.log(`🌍 Source language from configured default: ${normalized}`);
+      return normalized;
+    }
+
+    return null;
+  }
+
+  /**
+   * Describe which source language options a root content type accepts
+   */
+  describeSourceLanguageOptions(rootConfig) {
+    const options = [];
+    if (rootConfig.cultureField) {
+      options.push(`a '${rootConfig.cultureField}' field value`);
+    }
+    if (rootConfig.useRequestLanguage) {
+      options.push('a sourceLanguage request parameter');
+    }
+    if (rootConfig.defaultSourceLanguage) {
+      options.push('a default source language');
+    }
+    return options.length > 0
+      ? `expected ${options.join(' or ')}`
+      : 'no detection method is configured';
+  }
+
+  /**
+   * Normalize a request or config language (e.g. 'de', 'de-DE') to a DeepL source code
+   */
+  normalizeSourceLanguage(language) {
+    return (
+      localeRegistry.getDeepLSourceLanguage(language) || language.toUpperCase()
+    );
+  }
+
   /**
    * Detect source locale from entry culture field (ported from original script)
    */
-  detectSourceLocaleFromEntry(entryFields) {
-    for (const cultureFieldName of this.cultureFieldNames) {
+  detectSourceLocaleFromEntry(
+    entryFields,
+    cultureFieldNames = this.cultureFieldNames
+  ) {
+    for (const cultureFieldName of cultureFieldNames) {
       const cultureField = entryFields[cultureFieldName];
       if (cultureField) {
         const localeValues = Object.values(cultureField);
         if (localeValues.length > 0 && typeof localeValues[0] === 'string') {
           const contentfulLocale = localeValues[0];
-          return this.mapContentfulLocaleToDeepLLanguage(contentfulLocale);
+          return localeRegistry.getDeepLSourceLanguage(contentfulLocale);
         }
       }
     }
     return null;
   }
 
-  /**
-   * Map Contentful locales to DeepL language codes (ported from original script)
-   */
-  mapContentfulLocaleToDeepLLanguage(contentfulLocale) {
-    const localeMapping = {
-      'de-DE': 'DE',
-      'nl-BE': 'NL',
-      'en-GB': 'EN-GB',
-      'en-US': 'EN-US',
-      'en-CA': 'EN-US',
-      'fr-FR': 'FR',
-      'fr-BE': 'FR',
-      'fr-CA': 'FR',
-      'fr-LU': 'FR',
-      'it-IT': 'IT',
-      'es-ES': 'ES',
-      'nl-NL': 'NL',
-      'nl-BE': 'NL',
-      'pt-PT': 'PT-PT',
-      'pt-BR': 'PT-BR',
-      'ru-RU': 'RU',
-      'ja-JP': 'JA',
-      'zh-CN': 'ZH',
-      'pl-PL': 'PL',
-      'sv-SE': 'SV',
-      'da-DK': 'DA',
-      'fi-FI': 'FI',
-      'no-NO': 'NB',
-      'cs-CZ': 'CS',
-      'et-EE': 'ET',
-      'lv-LV': 'LV',
-      'lt-LT': 'LT',
-      'sk-SK': 'SK',
-      'sl-SI': 'SL',
-      'bg-BG': 'BG',
-      'hu-HU': 'HU',
-      'ro-RO': 'RO',
-      'uk-UA': 'UK',
-      'tr-TR': 'TR',
-    };
-
-    return localeMapping[contentfulLocale] || null;
-  }
-
   /**
    * Clone entry recursively using original script logic
    */
@@ -294,6 +764,8 @@ export class ServerContentfulCloneService {
     }
 
     const previousContentType = this.currentEntryContentType;
+    // Links back to this entry from its own subtree close a cycle
+    this.processingSet.add(key);
 
     try {
       onProgress?.(`🔄 Processing entry: ${sourceId}`);
@@ -304,17 +776,20 @@ export class ServerContentfulCloneService {
 
       this.currentEntryContentType = sourceEntry.sys.contentType.sys.id;
 
-      // Detect source language for this entry
-      const isCmsPage = sourceEntry.sys.contentType.sys.id === 'cmsPage';
+      // Detect source language for this entry - root content types with a
+      // culture field carry their own, everything else inherits the root's
+      const contentTypeId = sourceEntry.sys.contentType.sys.id;
+      const rootConfig = this.getRootContentTypeConfig(contentTypeId);
       let detectedSourceLanguage = null;
 
-      if (isCmsPage) {
+      if (rootConfig?.cultureField) {
         detectedSourceLanguage = this.detectSourceLocaleFromEntry(
-          sourceEntry.fields
+          sourceEntry.fields,
+          [rootConfig.cultureField]
         );
-      } else {
-        detectedSourceLanguage = this.mainCmsPageSourceLanguage;
       }
+      detectedSourceLanguage =
+        detectedSourceLanguage || this.rootSourceLanguage;
 
       // Create entry data structure
       const entryData = {
@@ -333,6 +808,9 @@ export class ServerContentfulCloneService {
         sourceEntry.fields
       );
 
+      // Per-field actions reported by a dry run
+      const fieldActions = {};
+
       // Process each field
       for (const fieldDef of contentType.fields) {
         const fieldId = fieldDef.id;
@@ -345,6 +823,10 @@ export class ServerContentfulCloneService {
             if (emptyValue !== null) {
               entryData.fields[fieldId] = emptyValue;
             }
+            if (this.dryRun) {
+              fieldActions[fieldId] = { action: 'emptied', characters: 0 };
+              this.recordEmptiedLinks(sourceId, fieldId, originalFieldValue);
+            }
             continue;
           }
 
@@ -361,6 +843,7 @@ export class ServerContentfulCloneService {
               );
             }
             entryData.fields[fieldId] = processedField;
+            fieldActions[fieldId] = { action: 'copied', characters: 0 };
             continue;
           }
 
@@ -377,11 +860,13 @@ export class ServerContentfulCloneService {
               );
             }
             entryData.fields[fieldId] = processedField;
+            fieldActions[fieldId] = { action: 'author', characters: 0 };
             continue;
           }
 
           // Process field normally
           const processedField = {};
+          const fieldAction = { action: 'copied', characters: 0 };
           for (const [fieldLocale, value] of Object.entries(
             originalFieldValue
           )) {
@@ -400,10 +885,11 @@ export class ServerContentfulCloneService {
             }
 
             // Set culture field
-            if (this.isCultureField(fieldId)) {
+            if (this.isCultureField(fieldId, contentTypeId)) {
               const cultureValue = this.getCultureValue();
               if (cultureValue) {
                 processedValue = cultureValue;
+                fieldAction.action = 'culture';
               }
             }
             // Handle markdown fields
@@ -414,43 +900,59 @@ export class ServerContentfulCloneService {
               ) &&
               detectedSourceLanguage
             ) {
+              this.countTranslatedField(fieldAction, processedValue);
+              // Translations are queued, not awaited - see createPendingClones()
               if (fieldId === 'bulletList' && Array.isArray(processedValue)) {
-                processedValue = await this.translateBulletList(
+                processedValue = this.translateBulletList(
                   processedValue,
                   detectedSourceLanguage
                 );
               } else if (typeof processedValue === 'string') {
-                processedValue = await this.translateMarkdownContent(
+                processedValue = this.translateMarkdownContent(
                   processedValue,
                   detectedSourceLanguage
                 );
               }
             }
+            // Translate Rich Text documents, cloning embedded entries
+            else if (
+              RichTextTranslator.isRichTextDocument(processedValue) &&
+              detectedSourceLanguage
+            ) {
+              this.countTranslatedField(fieldAction, processedValue);
+              const remappedDocument = await this.remapRichTextLinks(
+                processedValue,
+                fieldLocale,
+                fieldId
+              );
+              processedValue = this.translateRichText(
+                remappedDocument,
+                detectedSourceLanguage,
+                fieldId
+              );
+            }
             // Translate text fields
             else if (
               typeof processedValue === 'string' &&
-              !this.isCultureField(fieldId) &&
+              !this.isCultureField(fieldId, contentTypeId) &&
               !this.isMarkdownField(sourceEntry.sys.contentType.sys.id, fieldId)
             ) {
               console.log(
                 `🔄 About to translate field '${fieldId}' of type '${fieldDef.type}' with source language '${detectedSourceLanguage}'`
               );
-              processedValue = await this.translateText(
+              // Count the source text - the clone prefix is not translated
+              this.countTranslatedField(fieldAction, value);
+              processedValue = this.translateText(
                 processedValue,
                 fieldDef.type,
                 detectedSourceLanguage
               );
-              console.log(
-                `✨ Translation result for '${fieldId}': '${processedValue.substring(
-                  0,
-                  100
-                )}...'`
-              );
             }
 
             processedField[fieldLocale] = processedValue;
           }
           entryData.fields[fieldId] = processedField;
+          fieldActions[fieldId] = fieldAction;
         } else if (fieldDef.required) {
           // Handle required missing fields
           if (this.shouldEmptyField(fieldId)) {
@@ -458,6 +960,7 @@ export class ServerContentfulCloneService {
             if (emptyValue !== null) {
               entryData.fields[fieldId] = emptyValue;
             }
+            fieldActions[fieldId] = { action: 'emptied', characters: 0 };
           } else {
             const defaultValue = await this.getDefaultValueForField(
               fieldDef,
@@ -466,28 +969,722 @@ export class ServerContentfulCloneService {
             if (defaultValue !== null) {
               entryData.fields[fieldId] = defaultValue;
             }
+            fieldActions[fieldId] = { action: 'default', characters: 0 };
+          }
+        }
+      }
+
+      // Tags (market tags swapped for the target market) and taxonomy concepts
+      const metadata = await this.tagMapping.mapMetadata(
+        sourceEntry.metadata,
+        this.translationConfig.targetLanguage
+      );
+      if (metadata) {
+        entryData.metadata = metadata;
+      }
+
+      // Plan the clone; it is created once all translations are in. Linked
+      // children were planned first, so the plan stays children-first
+      const placeholderId = this.getPendingId(key);
+      this.pendingClones.push({
+        type: 'Entry',
+        key,
+        sourceId,
+        placeholderId,
+        contentTypeId,
+        sourceEntry,
+        fieldDefinitions,
+        fieldActions,
+        sourceLanguage: detectedSourceLanguage,
+        data: entryData,
+      });
+
+      onProgress?.(`📋 Planned clone of entry ${sourceId}`);
+      this.cloneMap.set(key, placeholderId);
+      this.currentEntryContentType = previousContentType;
+      this.processingSet.delete(key);
+
+      return placeholderId;
+    } catch (error) {
+      this.currentEntryContentType = previousContentType;
+      this.processingSet.delete(key);
+      throw error;
+    }
+  }
+
+  /**
+   * Placeholder ID linking to a planned clone until it is created
+   */
+  getPendingId(key) {
+    return `${this.dryRun ? 'dry-run' : 'pending'}:${key}`;
+  }
+
+  /**
+   * Whether a link still points at a placeholder instead of a created clone
+   */
+  hasPendingLink(value) {
+    if (Array.isArray(value)) {
+      return value.some((item) => this.hasPendingLink(item));
+    }
+    if (value && typeof value === 'object') {
+      if (value.sys?.type === 'Link') {
+        return value.sys.id.startsWith(this.getPendingId(''));
+      }
+      return Object.values(value).some((item) => this.hasPendingLink(item));
+    }
+    return false;
+  }
+
+  /**
+   * Record a link back to an entry that is still being walked, with the path
+   * of entries from that entry to the one holding the link
+   */
+  recordCycle(key, fieldId) {
+    const path = [...this.processingSet]
+      .filter((processingKey) => processingKey.startsWith('Entry:'))
+      .map((processingKey) => processingKey.slice('Entry:'.length));
+    const linkedEntryId = key.slice('Entry:'.length);
+    const cyclePath = path.slice(path.indexOf(linkedEntryId));
+
+    this.cycles.push({
+      entryId: cyclePath[cyclePath.length - 1],
+      fieldId,
+      linkedEntryId,
+      path: [...cyclePath, linkedEntryId],
+    });
+    console.log(
+      `🔁 Reference cycle: ${[...cyclePath, linkedEntryId].join(' → ')}`
+    );
+  }
+
+  /**
+   * Create the planned clones children-first once their translations are in,
+   * swapping placeholder links for the IDs of the created entries and assets
+   */
+  async createPendingClones(onProgress) {
+    for (const pending of this.pendingClones) {
+      await this.resolveDeferredFields(pending.data.fields);
+
+      if (pending.type === 'Entry') {
+        // Generate the market slug from the translated title
+        await this.applyGeneratedSlug(
+          pending.data,
+          pending.sourceEntry,
+          pending.fieldDefinitions,
+          pending.fieldActions
+        );
+      }
+    }
+
+    // Every slug of the tree is known now, so links between its pages resolve
+    if (this.linkRewriter?.isEnabled()) {
+      onProgress?.('🔗 Rewriting links for the target market...');
+      for (const pending of this.pendingClones) {
+        if (pending.type === 'Entry') {
+          await this.rewriteLinks(pending);
+        }
+      }
+    }
+
+    // Translated values are checked against their field validations once
+    // their slugs and links are final
+    for (const pending of this.pendingClones) {
+      if (pending.type === 'Entry') {
+        await this.enforceFieldValidations(pending);
+      }
+    }
+
+    for (const pending of this.pendingClones) {
+      if (this.dryRun) {
+        this.recordDryRunClone(pending);
+        onProgress?.(`👀 Would clone ${pending.type} ${pending.sourceId}`);
+        continue;
+      }
+
+      const fields = this.replacePendingLinks(pending.data.fields);
+      // Links back into a cycle point at entries not created yet; they are
+      // left out here and patched in once the whole tree exists
+      const backReferences =
+        pending.type === 'Entry' ? this.detachBackReferences(fields) : [];
+      let createdId;
+      if (pending.type === 'Entry') {
+        createdId = await this.createClonedEntry(pending, fields, onProgress);
+      } else if (pending.copy) {
+        createdId = await this.createCopiedAsset(pending.sourceId, fields);
+      } else {
+        createdId = await this.createClonedAsset(pending.sourceId, fields);
+      }
+
+      if (backReferences.length > 0) {
+        this.backReferences.push({
+          pending,
+          entryId: createdId,
+          fields: backReferences,
+        });
+      }
+      this.pendingIds.set(pending.placeholderId, createdId);
+      this.cloneMap.set(pending.key, createdId);
+      console.log(
+        `🔍 DEBUG - Added to cloneMap: ${pending.key} → ${createdId}`
+      );
+    }
+
+    await this.patchBackReferences(onProgress);
+  }
+
+  /**
+   * Remove the field values that still link to placeholders from the fields
+   * of a clone to create, returning which field locales were removed
+   */
+  detachBackReferences(fields) {
+    const detached = [];
+
+    for (const [fieldId, field] of Object.entries(fields)) {
+      for (const [fieldLocale, value] of Object.entries(field)) {
+        if (this.hasPendingLink(value)) {
+          delete field[fieldLocale];
+          detached.push({ fieldId, locale: fieldLocale });
+        }
+      }
+      if (Object.keys(field).length === 0) {
+        delete fields[fieldId];
+      }
+    }
+
+    return detached;
+  }
+
+  /**
+   * Write the links back into a cycle onto the created entries, now that
+   * every entry they point at has its clone
+   */
+  async patchBackReferences(onProgress) {
+    if (this.backReferences.length === 0) return;
+
+    onProgress?.(
+      `🔁 Patching back-references of ${this.backReferences.length} entries...`
+    );
+
+    for (const { pending, entryId, fields } of this.backReferences) {
+      const entry = await this.targetEnvironment.getEntry(entryId);
+      for (const { fieldId, locale } of fields) {
+        entry.fields[fieldId] = {
+          ...(entry.fields[fieldId] || {}),
+          [locale]: this.replacePendingLinks(
+            pending.data.fields[fieldId][locale]
+          ),
+        };
+      }
+      await entry.update();
+      onProgress?.(
+        `✓ Patched back-references of ${pending.sourceId} → ${entryId}`
+      );
+    }
+  }
+
+  /**
+   * Point the links in the translated fields of a planned clone at the target market
+   */
+  async rewriteLinks(pending) {
+    for (const [fieldId, field] of Object.entries(pending.data.fields)) {
+      for (const [fieldLocale, value] of Object.entries(field)) {
+        field[fieldLocale] = await this.linkRewriter.rewriteFieldValue(value, {
+          entryId: pending.sourceId,
+          fieldId,
+          markdown: this.isMarkdownField(pending.contentTypeId, fieldId),
+        });
+      }
+    }
+  }
+
+  /**
+   * Fit the translated fields of a planned clone to the size, regexp and
+   * unique validations of its content type
+   */
+  async enforceFieldValidations(pending) {
+    // Cross-location clones are checked against the destination's validations
+    const destinationContentType = this.crossLocation
+      ? await this.compatibilityService.getDestinationContentType(
+          pending.contentTypeId
+        )
+      : null;
+
+    for (const [fieldId, field] of Object.entries(pending.data.fields)) {
+      if (pending.fieldActions[fieldId]?.action !== 'translated') continue;
+
+      const fieldDef =
+        destinationContentType?.fields.find(({ id }) => id === fieldId) ||
+        pending.fieldDefinitions[fieldId];
+      const markdown = this.isMarkdownField(pending.contentTypeId, fieldId);
+      for (const [fieldLocale, value] of Object.entries(field)) {
+        const sourceValue = pending.sourceEntry.fields[fieldId]?.[fieldLocale];
+        field[fieldLocale] = await this.fieldValidation.enforce(
+          value,
+          fieldDef,
+          {
+            sourceEntryId: pending.sourceId,
+            contentTypeId: pending.contentTypeId,
+            locale: fieldLocale,
+            sourceValue,
+            truncatable: !markdown,
+            retranslate:
+              this.batcher && !markdown && typeof sourceValue === 'string'
+                ? (maxLength) =>
+                    this.translateShorter(
+                      sourceValue,
+                      value,
+                      pending.sourceLanguage,
+                      maxLength
+                    )
+                : null,
+          }
+        );
+      }
+    }
+  }
+
+  /**
+   * Target of a page within the cloned tree: its planned clone, or the
+   * existing entry a reference policy linked instead
+   */
+  async findTreePage(sourceEntryId) {
+    const pending = this.pendingClones.find(
+      (candidate) =>
+        candidate.type === 'Entry' && candidate.sourceId === sourceEntryId
+    );
+    if (pending) {
+      return { id: pending.placeholderId, fields: pending.data.fields };
+    }
+
+    const targetId = this.cloneMap.get(`Entry:${sourceEntryId}`);
+    if (!targetId || targetId === sourceEntryId) {
+      return null;
+    }
+    try {
+      const entry = await this.targetEnvironment.getEntry(targetId);
+      return { id: entry.sys.id, fields: entry.fields };
+    } catch (error) {
+      console.warn(
+        `⚠️ Linked page ${targetId} is not accessible: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Create one planned entry clone
+   */
+  async createClonedEntry(pending, fields, onProgress) {
+    const newEntry = await this.targetEnvironment.createEntry(
+      pending.contentTypeId,
+      {
+        fields,
+        ...(pending.data.metadata ? { metadata: pending.data.metadata } : {}),
+      }
+    );
+
+    this.createdItems.push({
+      type: 'Entry',
+      id: newEntry.sys.id,
+      sourceId: pending.sourceId,
+    });
+    onProgress?.(`✓ Cloned entry ${pending.sourceId} → ${newEntry.sys.id}`);
+
+    return newEntry.sys.id;
+  }
+
+  /**
+   * Create one planned asset clone and process its re-uploaded file
+   */
+  async createClonedAsset(sourceAssetId, fields) {
+    const newAsset = await this.targetEnvironment.createAsset({ fields });
+    this.createdItems.push({
+      type: 'Asset',
+      id: newAsset.sys.id,
+      sourceId: sourceAssetId,
+    });
+    const processedAsset = await newAsset.processForAllLocales();
+
+    console.log(`🖼️ Cloned asset ${sourceAssetId} → ${processedAsset.sys.id}`);
+    return processedAsset.sys.id;
+  }
+
+  /**
+   * Copy an asset the destination of a cross-location clone lacks, under the
+   * same ID so links to it stay valid
+   */
+  async createCopiedAsset(sourceAssetId, fields) {
+    const newAsset = await this.targetEnvironment.createAssetWithId(
+      sourceAssetId,
+      { fields }
+    );
+    this.createdItems.push({
+      type: 'Asset',
+      id: newAsset.sys.id,
+      sourceId: sourceAssetId,
+    });
+    const processedAsset = await newAsset.processForAllLocales();
+
+    console.log(`🖼️ Copied asset ${sourceAssetId} to the destination`);
+    return processedAsset.sys.id;
+  }
+
+  /**
+   * Compare the content types of the source tree with the destination of a
+   * cross-location clone, before the tree is walked
+   */
+  async checkContentTypeCompatibility(sourceEntry) {
+    const contentTypes = [];
+    for (const contentTypeId of await this.collectTreeContentTypes(
+      sourceEntry
+    )) {
+      contentTypes.push(await this.getContentType(contentTypeId));
+    }
+    return await this.compatibilityService.check(contentTypes);
+  }
+
+  /**
+   * Content type IDs of the entries a clone may create: every entry linked
+   * from the tree (Rich Text embeds included), except through emptied fields
+   * and dropped references. Entries are read through the source cache, so
+   * the clone walk reads them again from there
+   */
+  async collectTreeContentTypes(rootEntry) {
+    const contentTypeIds = new Set();
+    const visited = new Set([rootEntry.sys.id]);
+
+    const collectLinks = (value, links = []) => {
+      if (Array.isArray(value)) {
+        value.forEach((item) => collectLinks(item, links));
+      } else if (value && typeof value === 'object') {
+        if (value.sys?.type === 'Link') {
+          if (value.sys.linkType === 'Entry') links.push(value.sys.id);
+        } else {
+          Object.values(value).forEach((item) => collectLinks(item, links));
+        }
+      }
+      return links;
+    };
+
+    const visit = async (entry) => {
+      contentTypeIds.add(entry.sys.contentType.sys.id);
+
+      for (const [fieldId, fieldValue] of Object.entries(entry.fields || {})) {
+        if (this.shouldEmptyField(fieldId)) continue;
+
+        for (const linkedId of collectLinks(fieldValue)) {
+          if (visited.has(linkedId)) continue;
+
+          // Policies apply per referencing field: an entry dropped here may
+          // still be cloned through another field
+          const linkedEntry = await this.getSourceEntry(linkedId);
+          const { mode } = this.referencePolicies.getPolicy(
+            linkedEntry.sys.contentType.sys.id,
+            fieldId
+          );
+          if (mode !== 'drop') {
+            visited.add(linkedId);
+            await visit(linkedEntry);
           }
         }
       }
+    };
+    await visit(rootEntry);
+
+    return contentTypeIds;
+  }
+
+  /**
+   * Whether an entry or asset exists in the destination of a cross-location clone
+   */
+  async existsInDestination(type, id) {
+    try {
+      await (type === 'Asset'
+        ? this.targetEnvironment.getAsset(id)
+        : this.targetEnvironment.getEntry(id));
+      return true;
+    } catch (error) {
+      if (error.name !== 'NotFound') {
+        throw error;
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Wait for the queued translations stored in planned field values
+   */
+  async resolveDeferredFields(fields) {
+    for (const field of Object.values(fields)) {
+      for (const [fieldLocale, value] of Object.entries(field)) {
+        field[fieldLocale] = await value;
+      }
+    }
+  }
 
-      // Create the new entry
-      const newEntry = await this.environment.createEntry(
-        sourceEntry.sys.contentType.sys.id,
-        entryData
+  /**
+   * Point links to planned clones at the created entries and assets
+   */
+  replacePendingLinks(value) {
+    if (Array.isArray(value)) {
+      return value.map((item) => this.replacePendingLinks(item));
+    }
+    if (value && typeof value === 'object') {
+      if (value.sys?.type === 'Link' && this.pendingIds.has(value.sys.id)) {
+        return { sys: { ...value.sys, id: this.pendingIds.get(value.sys.id) } };
+      }
+      return Object.fromEntries(
+        Object.entries(value).map(([key, item]) => [
+          key,
+          this.replacePendingLinks(item),
+        ])
       );
+    }
+    return value;
+  }
+
+  /**
+   * Replace the emptied slug of a clone with one generated from its translated
+   * title, unique within the configured scope (e.g. culture and domain)
+   */
+  async applyGeneratedSlug(
+    entryData,
+    sourceEntry,
+    fieldDefinitions,
+    fieldActions
+  ) {
+    const {
+      enabled,
+      sourceField,
+      slugField,
+      uniqueWithin = [],
+    } = this.slugConfig;
+
+    // Only entries that had a slug get a new one
+    if (
+      !enabled ||
+      !fieldDefinitions[slugField] ||
+      !sourceEntry.fields[slugField]
+    ) {
+      return;
+    }
 
-      onProgress?.(`✓ Cloned entry ${sourceId} → ${newEntry.sys.id}`);
+    for (const [fieldLocale, title] of Object.entries(
+      entryData.fields[sourceField] || {}
+    )) {
+      if (typeof title !== 'string' || !title.trim()) continue;
 
-      this.cloneMap.set(key, newEntry.sys.id);
-      console.log(`🔍 DEBUG - Added to cloneMap: ${key} → ${newEntry.sys.id}`);
-      console.log(`🔍 DEBUG - CloneMap size now: ${this.cloneMap.size}`);
-      this.currentEntryContentType = previousContentType;
+      // The clone prefix is not part of the market slug
+      const { prefix } = this.prefixConfig;
+      const text = title.startsWith(prefix)
+        ? title.slice(prefix.length).trim()
+        : title;
 
-      return newEntry.sys.id;
-    } catch (error) {
-      this.currentEntryContentType = previousContentType;
-      throw error;
+      try {
+        const slug = await this.slugService.generateUniqueSlug({
+          text,
+          language: this.translationConfig.targetLanguage,
+          contentTypeId: sourceEntry.sys.contentType.sys.id,
+          slugField,
+          locale: fieldLocale,
+          scope: Object.fromEntries(
+            uniqueWithin
+              .filter((fieldId) => fieldDefinitions[fieldId])
+              .map((fieldId) => [
+                fieldId,
+                entryData.fields[fieldId]?.[fieldLocale],
+              ])
+          ),
+        });
+
+        if (slug) {
+          entryData.fields[slugField] = {
+            ...(entryData.fields[slugField] || {}),
+            [fieldLocale]: slug,
+          };
+          fieldActions[slugField] = { action: 'generated', characters: 0 };
+          console.log(`🔗 Generated slug for ${sourceEntry.sys.id}: ${slug}`);
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️ Slug generation failed for ${sourceEntry.sys.id}, keeping it empty: ${error.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Delete (or archive) every entry and asset created by the current run, in
+   * reverse creation order, and report what was removed and what was not
+   */
+  async rollbackCreatedItems(mode, onProgress) {
+    const report = { mode, removed: [], failed: [] };
+
+    if (this.createdItems.length === 0) {
+      return report;
+    }
+
+    onProgress?.(
+      `↩️ Rolling back ${this.createdItems.length} created items (${mode})...`
+    );
+
+    for (const item of [...this.createdItems].reverse()) {
+      try {
+        const resource =
+          item.type === 'Asset'
+            ? await this.targetEnvironment.getAsset(item.id)
+            : await this.targetEnvironment.getEntry(item.id);
+
+        if (mode === 'archive') {
+          await resource.archive();
+        } else {
+          await resource.delete();
+        }
+
+        report.removed.push(item);
+      } catch (error) {
+        console.error(
+          `❌ Rollback failed for ${item.type} ${item.id}: ${error.message}`
+        );
+        report.failed.push({ ...item, error: error.message });
+      }
     }
+
+    this.createdItems = [];
+    this.cloneMap.clear();
+
+    console.log(
+      `↩️ Rollback finished: ${report.removed.length} removed, ${report.failed.length} failed`
+    );
+    return report;
+  }
+
+  /**
+   * Record an existing entry or asset a dry run would link instead of cloning
+   */
+  recordDryRunReuse(type, sourceId, targetId, reason) {
+    if (!this.dryRun) return;
+
+    this.dryRunPlan.push({
+      type,
+      action: 'reuse',
+      sourceId,
+      targetId,
+      reason,
+      characters: 0,
+    });
+  }
+
+  /**
+   * Record a planned entry or asset clone with its translated payload
+   */
+  recordDryRunClone(pending) {
+    const fieldActions = pending.fieldActions || {};
+
+    this.dryRunPlan.push({
+      type: pending.type,
+      action: pending.copy ? 'copy' : 'clone',
+      sourceId: pending.sourceId,
+      targetId: pending.placeholderId,
+      ...(pending.type === 'Entry'
+        ? {
+            contentTypeId: pending.contentTypeId,
+            sourceLanguage: pending.sourceLanguage,
+            fieldActions,
+          }
+        : {}),
+      characters:
+        pending.characters ??
+        Object.values(fieldActions).reduce(
+          (total, field) => total + field.characters,
+          0
+        ),
+      payload: pending.data,
+    });
+  }
+
+  /**
+   * Record an entry a dry run would drop because of its reference policy
+   */
+  recordDryRunDrop(sourceId, fieldId) {
+    if (!this.dryRun) return;
+
+    this.dryRunPlan.push({
+      type: 'Entry',
+      action: 'drop',
+      sourceId,
+      targetId: null,
+      fieldId,
+      characters: 0,
+    });
+  }
+
+  /**
+   * Record the entries and assets an emptied field would drop from the clone
+   */
+  recordEmptiedLinks(parentId, fieldId, fieldValue) {
+    for (const value of Object.values(fieldValue)) {
+      for (const item of Array.isArray(value) ? value : [value]) {
+        if (item?.sys?.type !== 'Link') continue;
+
+        this.dryRunPlan.push({
+          type: item.sys.linkType,
+          action: 'empty',
+          sourceId: item.sys.id,
+          targetId: null,
+          parentId,
+          fieldId,
+          characters: 0,
+        });
+      }
+    }
+  }
+
+  /**
+   * Add the source characters of a translated field to its dry-run action
+   */
+  countTranslatedField(fieldAction, value) {
+    fieldAction.action = 'translated';
+    fieldAction.characters += CharacterBudgetService.countCharacters(value);
+  }
+
+  /**
+   * Summarize the collected dry-run plan with per-action totals
+   */
+  summarizeDryRunPlan() {
+    const totals = {
+      clone: 0,
+      copy: 0,
+      reuse: 0,
+      empty: 0,
+      drop: 0,
+      characters: 0,
+    };
+
+    for (const item of this.dryRunPlan) {
+      totals[item.action]++;
+      totals.characters += item.characters;
+    }
+
+    return { items: this.dryRunPlan, totals };
+  }
+
+  /**
+   * Read an entry of the source tree, through the shared source cache if set
+   */
+  async getSourceEntry(entryId) {
+    return this.sourceCache
+      ? await this.sourceCache.getEntry(entryId)
+      : await this.environment.getEntry(entryId);
+  }
+
+  /**
+   * Read an asset of the source tree, through the shared source cache if set
+   */
+  async getSourceAsset(assetId) {
+    return this.sourceCache
+      ? await this.sourceCache.getAsset(assetId)
+      : await this.environment.getAsset(assetId);
   }
 
   // Helper methods ported from original script
@@ -496,7 +1693,9 @@ export class ServerContentfulCloneService {
       return this.contentTypeCache.get(contentTypeId);
     }
 
-    const contentType = await this.environment.getContentType(contentTypeId);
+    const contentType = this.sourceCache
+      ? await this.sourceCache.getContentType(contentTypeId)
+      : await this.environment.getContentType(contentTypeId);
 
     this.contentTypeCache.set(contentTypeId, contentType);
     return contentType;
@@ -525,7 +1724,14 @@ export class ServerContentfulCloneService {
     return prefixFieldIds.includes(fieldId);
   }
 
-  isCultureField(fieldId) {
+  isCultureField(fieldId, contentTypeId) {
+    if (
+      contentTypeId &&
+      this.getRootContentTypeConfig(contentTypeId)?.cultureField === fieldId
+    ) {
+      return true;
+    }
+
     return this.cultureFieldNames.some((cultureName) =>
       fieldId.toLowerCase().includes(cultureName.toLowerCase())
     );
@@ -558,16 +1764,21 @@ export class ServerContentfulCloneService {
     );
   }
 
+  /**
+   * Culture field value of the target market, e.g. 'it-IT'
+   */
   getCultureValue() {
-    const targetLang = this.translationConfig.targetLanguage;
-    // Convert to uppercase since cultureMapping uses uppercase keys
-    const upperTargetLang = targetLang.toUpperCase();
-    console.log(
-      `🔍 DEBUG - getCultureValue: targetLang="${targetLang}" → upperTargetLang="${upperTargetLang}"`
+    return localeRegistry.getCulture(this.translationConfig.targetLanguage);
+  }
+
+  /**
+   * DeepL code of the target market, e.g. 'FR' for 'fr-be'
+   */
+  getDeepLTargetLanguage() {
+    const { targetLanguage } = this.translationConfig;
+    return (
+      localeRegistry.getDeepLTargetLanguage(targetLanguage) || targetLanguage
     );
-    const result = this.cultureMapping[upperTargetLang] || null;
-    console.log(`🔍 DEBUG - Culture mapping result: "${result}"`);
-    return result;
   }
 
   getEmptyValueForField(fieldDefinition, locale) {
@@ -671,46 +1882,71 @@ export class ServerContentfulCloneService {
       };
     }
 
-    // Check for circular reference
+    // A link back to an entry still being walked closes a cycle: it links the
+    // entry's placeholder, which is patched to the clone once that exists
     if (this.processingSet.has(key)) {
-      return linkValue; // Return original to break cycle
+      if (linkType !== 'Entry') {
+        return linkValue;
+      }
+      this.recordCycle(key, fieldId);
+      return {
+        sys: { type: 'Link', linkType, id: this.getPendingId(key) },
+      };
     }
 
     this.processingSet.add(key);
 
     try {
       if (linkType === 'Entry') {
-        // Special handling for author fields
-        if (fieldId && this.isAuthorField(fieldId)) {
-          const originalAuthor = await this.environment.getEntry(id);
-
-          if (
-            originalAuthor.sys.contentType.sys.id ===
-            this.authorConfig.authorContentType
-          ) {
-            const targetCulture = this.getCultureValue();
-            if (targetCulture) {
-              const existingAuthorId = await this.findExistingAuthor(
-                originalAuthor,
-                targetCulture
-              );
-              if (existingAuthorId) {
-                this.cloneMap.set(key, existingAuthorId);
-                this.processingSet.delete(key);
-                return {
-                  sys: {
-                    type: 'Link',
-                    linkType: 'Entry',
-                    id: existingAuthorId,
-                  },
-                };
-              }
-            }
-          }
+        const sourceEntry = await this.getSourceEntry(id);
+
+        // Apply the reference policy of the linked content type (authors
+        // are looked up by default)
+        const reference = await this.referencePolicies.resolve(
+          sourceEntry,
+          fieldId,
+          this.getCultureValue()
+        );
+
+        if (reference.mode === 'drop') {
+          this.recordDryRunDrop(id, fieldId);
+          this.processingSet.delete(key);
+          return null;
+        }
+
+        // Shared entries must exist in the destination of a cross-location
+        // clone; missing ones are cloned instead
+        if (
+          reference.mode === 'share' &&
+          this.crossLocation &&
+          !(await this.existsInDestination('Entry', reference.targetId))
+        ) {
+          console.warn(
+            `⚠️ Shared entry ${id} is missing in the destination - cloning it`
+          );
+          reference.targetId = null;
+        }
+
+        if (reference.targetId) {
+          this.recordDryRunReuse(
+            'Entry',
+            id,
+            reference.targetId,
+            reference.mode
+          );
+          this.cloneMap.set(key, reference.targetId);
+          this.linkedReferences.set(key, reference.mode);
+          this.processingSet.delete(key);
+          return {
+            sys: {
+              type: 'Link',
+              linkType: 'Entry',
+              id: reference.targetId,
+            },
+          };
         }
 
         // Default entry cloning
-        const sourceEntry = await this.environment.getEntry(id);
 
         const clonedEntryId = await this.cloneEntryRecursive(
           sourceEntry,
@@ -728,50 +1964,194 @@ export class ServerContentfulCloneService {
           },
         };
       } else if (linkType === 'Asset') {
+        if (this.assetMode === 'clone') {
+          const clonedAssetId = await this.cloneAsset(id);
+          this.cloneMap.set(key, clonedAssetId);
+          this.processingSet.delete(key);
+          return {
+            sys: {
+              type: 'Link',
+              linkType: 'Asset',
+              id: clonedAssetId,
+            },
+          };
+        }
+
+        // A cross-location clone copies the assets its destination lacks
+        if (
+          this.crossLocation &&
+          !(await this.existsInDestination('Asset', id))
+        ) {
+          const copiedAssetId = await this.copyAsset(id);
+          this.cloneMap.set(key, copiedAssetId);
+          this.processingSet.delete(key);
+          return {
+            sys: {
+              type: 'Link',
+              linkType: 'Asset',
+              id: copiedAssetId,
+            },
+          };
+        }
+
         // For assets, reuse the original (don't clone)
+        this.recordDryRunReuse('Asset', id, id, 'asset');
         this.cloneMap.set(key, id);
         this.processingSet.delete(key);
         return linkValue;
       }
     } catch (error) {
+      // Keeping the source link would leave the clone pointing at the source
+      // market - fail the run so the created items are rolled back
       console.error(`❌ Failed to process link ${key}: ${error.message}`);
       this.processingSet.delete(key);
-      return linkValue;
+      throw error;
     }
 
     this.processingSet.delete(key);
     return linkValue;
   }
 
-  async findExistingAuthor(authorEntry, targetCulture) {
-    try {
-      const authorFields = authorEntry.fields;
-
-      for (const matchField of this.authorConfig.matchFields) {
-        if (authorFields[matchField]) {
-          const fieldValue = Object.values(authorFields[matchField])[0];
-          if (fieldValue && typeof fieldValue === 'string') {
-            const query = {
-              content_type: this.authorConfig.authorContentType,
-              [`fields.${this.authorConfig.cultureField}`]: targetCulture,
-              [`fields.${matchField}`]: fieldValue,
-              limit: 1,
-            };
-
-            const entries = await this.environment.getEntries(query);
-
-            if (entries.items.length > 0) {
-              return entries.items[0].sys.id;
-            }
-          }
-        }
+  /**
+   * Create a market-specific copy of an asset with translated title and
+   * description (the description is what the frontend renders as alt text)
+   */
+  async cloneAsset(assetId) {
+    const sourceAsset = await this.getSourceAsset(assetId);
+    const fields = {};
+
+    for (const [fieldId, fieldType] of [
+      ['title', 'Symbol'],
+      ['description', 'Text'],
+    ]) {
+      const fieldValue = sourceAsset.fields[fieldId];
+      if (!fieldValue) continue;
+
+      fields[fieldId] = {};
+      for (const [fieldLocale, text] of Object.entries(fieldValue)) {
+        // Queued, not awaited - see createPendingClones()
+        fields[fieldId][fieldLocale] = this.translateText(
+          text,
+          fieldType,
+          this.rootSourceLanguage
+        );
       }
+    }
 
+    // Re-upload the original file so the copy is independent of the source asset
+    if (!this.dryRun) {
+      const file = this.getUploadFile(assetId, sourceAsset.fields.file);
+      if (file) {
+        fields.file = file;
+      }
+    }
+
+    const key = `Asset:${assetId}`;
+    const placeholderId = this.getPendingId(key);
+    this.pendingClones.push({
+      type: 'Asset',
+      key,
+      sourceId: assetId,
+      placeholderId,
+      characters: ['title', 'description'].reduce(
+        (total, fieldId) =>
+          total +
+          CharacterBudgetService.countCharacters(sourceAsset.fields[fieldId]),
+        0
+      ),
+      data: { fields },
+    });
+    return placeholderId;
+  }
+
+  /**
+   * Plan an untranslated copy of an asset for the destination of a
+   * cross-location clone
+   */
+  async copyAsset(assetId) {
+    const sourceAsset = await this.getSourceAsset(assetId);
+    const { file, ...fields } = sourceAsset.fields;
+
+    // Re-upload the original file, like translated asset clones do; dry-run
+    // plans show the files that would be uploaded
+    const uploadFile = this.getUploadFile(assetId, file);
+    if (uploadFile) {
+      fields.file = uploadFile;
+    }
+
+    const key = `Asset:${assetId}`;
+    const placeholderId = this.getPendingId(key);
+    this.pendingClones.push({
+      type: 'Asset',
+      key,
+      sourceId: assetId,
+      placeholderId,
+      copy: true,
+      characters: 0,
+      data: { fields },
+    });
+    return placeholderId;
+  }
+
+  /**
+   * File field that re-uploads the source asset's files, or null when no
+   * locale has one. Locales whose file has no URL yet (still processing, or
+   * a broken upload) are skipped
+   */
+  getUploadFile(assetId, file = {}) {
+    const uploadFile = {};
+
+    for (const [fieldLocale, localeFile] of Object.entries(file)) {
+      const fileUrl = localeFile?.url || localeFile?.upload;
+      if (!fileUrl) {
+        console.warn(
+          `⚠️ Asset ${assetId} has no file URL in ${fieldLocale} - file not copied`
+        );
+        continue;
+      }
+      uploadFile[fieldLocale] = {
+        contentType: localeFile.contentType,
+        fileName: localeFile.fileName,
+        upload: fileUrl.startsWith('//') ? `https:${fileUrl}` : fileUrl,
+      };
+    }
+
+    return Object.keys(uploadFile).length > 0 ? uploadFile : null;
+  }
+
+  /**
+   * Resolve the glossary for the current target language; without a usable
+   * glossary, translation continues without one
+   */
+  async resolveGlossary(glossaryId) {
+    if (!glossaryId || !this.glossaryService) {
       return null;
-    } catch (error) {
-      console.warn(`⚠️ Error searching for existing author: ${error.message}`);
-      return null;
     }
+
+    const glossary = await this.glossaryService.resolveGlossary(
+      glossaryId,
+      this.getDeepLTargetLanguage()
+    );
+    if (glossary) {
+      console.log(
+        `📖 Using glossary '${glossary.name}' (${glossary.sourceLang} → ${glossary.targetLang})`
+      );
+    }
+    return glossary;
+  }
+
+  /**
+   * DeepL options for a text: the run's translation profile, plus the glossary
+   * when it fits the text's source language
+   */
+  getDeepLOptions(sourceLanguage, options = {}) {
+    return TranslationProfileService.applyProfile(
+      this.translationProfile.options,
+      {
+        ...options,
+        ...GlossaryService.getGlossaryOptions(this.glossary, sourceLanguage),
+      }
+    );
   }
 
   async translateText(text, fieldType, sourceLanguage) {
@@ -853,15 +2233,14 @@ export class ServerContentfulCloneService {
         `🌐 Calling DeepL API: '${textToTranslate.substring(
           0,
           50
-        )}...' from '${effectiveSourceLanguage}' to '${
-          this.translationConfig.targetLanguage
-        }'`
+        )}...' from '${effectiveSourceLanguage}' to '${this.getDeepLTargetLanguage()}'`
       );
 
-      const result = await this.translator.translateText(
+      const result = await this.batcher.translate(
         textToTranslate,
         effectiveSourceLanguage,
-        this.translationConfig.targetLanguage
+        this.getDeepLTargetLanguage(),
+        this.getDeepLOptions(effectiveSourceLanguage)
       );
 
       console.log(`✅ DeepL response: '${result.text.substring(0, 50)}...'`);
@@ -879,84 +2258,102 @@ export class ServerContentfulCloneService {
     }
   }
 
-  async translateMarkdownContent(content, sourceLanguage) {
-    if (!this.translationConfig.enabled || !this.translator) {
-      return content;
-    }
+  /**
+   * Translate a text again for a field with a size limit, asking DeepL for a
+   * short rendering; the clone prefix of the current value is kept
+   */
+  async translateShorter(text, currentValue, sourceLanguage, maxLength) {
+    const { prefix } = this.prefixConfig;
+    const prefixed = currentValue.startsWith(`${prefix} `);
+    const available = prefixed ? maxLength - prefix.length - 1 : maxLength;
+
+    const result = await FieldValidationService.createRetranslationBatcher(
+      this.batcher
+    ).translate(
+      text,
+      sourceLanguage,
+      this.getDeepLTargetLanguage(),
+      this.getDeepLOptions(
+        sourceLanguage,
+        FieldValidationService.getShorterOptions(available)
+      )
+    );
+    return prefixed ? `${prefix} ${result.text}` : result.text;
+  }
 
-    try {
-      console.log(
-        `📝 translateMarkdownContent called: '${content.substring(0, 50)}...'`
-      );
+  /**
+   * Remap embedded entries and assets of a Rich Text document to their clones
+   */
+  async remapRichTextLinks(document, locale, fieldId) {
+    const richTextTranslator = new RichTextTranslator({
+      translateSegment: async (xml) => xml,
+      remapLink: (link) => this.processLinkField(link, locale, fieldId),
+    });
 
-      // Use HTML-only method as in the original script
-      let processedContent = content;
-
-      // Protect entire image markdown from translation
-      const imageMap = new Map();
-      let imageCounter = 0;
-
-      // First, protect entire image markdown blocks
-      processedContent = processedContent.replace(
-        /!\[([^\]]*)\]\(([^)]+)\)/g,
-        (match, caption, url) => {
-          const token = `IMG_PLACEHOLDER_${++imageCounter}`;
-          // Store the original caption and URL separately for later translation
-          imageMap.set(token, { caption, url, fullMatch: match });
-          console.log(
-            `🖼️ Protected image ${imageCounter}: caption="${caption}", url="${url}"`
-          );
-          return token;
-        }
-      );
+    const remapped = await richTextTranslator.remapDocumentLinks(document);
+    console.log(
+      `📄 Rich text links remapped for '${fieldId}': ${richTextTranslator.stats.remappedLinks} links, ${richTextTranslator.stats.droppedLinks} dropped`
+    );
+    return remapped;
+  }
 
-      // Translate content
-      const result = await this.translator.translateText(
-        processedContent,
-        sourceLanguage,
-        this.translationConfig.targetLanguage,
-        {
-          preserveFormatting: true,
-          tagHandling: 'xml',
-        }
-      );
+  /**
+   * Translate the text blocks of an already remapped Rich Text document
+   */
+  async translateRichText(document, sourceLanguage, fieldId) {
+    const richTextTranslator = new RichTextTranslator({
+      translateSegment: (xml, context) =>
+        this.translateXmlSegment(xml, sourceLanguage, context),
+    });
 
-      let finalResult = result.text;
+    const translated = await richTextTranslator.translateDocumentText(document);
+    console.log(
+      `📄 Rich text translated for '${fieldId}': ${richTextTranslator.stats.segments} segments`
+    );
+    return translated;
+  }
 
-      // Restore images with translated captions
-      for (const [token, imageData] of imageMap) {
-        try {
-          // Translate the image caption separately
-          const translatedCaption = await this.translator.translateText(
-            imageData.caption,
-            sourceLanguage,
-            this.translationConfig.targetLanguage,
-            {
-              preserveFormatting: true,
-            }
-          );
+  /**
+   * Translate one XML-serialized Rich Text or markdown block
+   */
+  async translateXmlSegment(xml, sourceLanguage, context) {
+    if (!this.translationConfig.enabled || !this.translator) {
+      return xml;
+    }
 
-          // Reconstruct the image markdown with translated caption and original URL
-          const translatedImageMarkdown = `![${translatedCaption.text}](${imageData.url})`;
-          finalResult = finalResult.replace(token, translatedImageMarkdown);
-          console.log(
-            `🖼️ Restored image: "${translatedCaption.text}" -> ${imageData.url}`
-          );
-        } catch (error) {
-          console.warn(
-            `⚠️ Failed to translate image caption, using original:`,
-            error
-          );
-          // Fallback to original image markdown
-          finalResult = finalResult.replace(token, imageData.fullMatch);
-        }
-      }
+    const result = await this.batcher.translate(
+      xml,
+      sourceLanguage,
+      this.getDeepLTargetLanguage(),
+      this.getDeepLOptions(sourceLanguage, {
+        tagHandling: 'xml',
+        ignoreTags: ['x'],
+        ...(context.heading ? { context: context.heading } : {}),
+      })
+    );
+    return result.text;
+  }
+
+  /**
+   * Translate markdown through its AST, so only text is translated and link
+   * targets, code, tables and formatting are kept
+   */
+  async translateMarkdownContent(content, sourceLanguage) {
+    if (!this.translationConfig.enabled || !this.translator) {
+      return content;
+    }
+
+    try {
+      const markdownTranslator = new MarkdownTranslator({
+        translateSegment: (xml, context) =>
+          this.translateXmlSegment(xml, sourceLanguage, context),
+      });
 
+      const translated = await markdownTranslator.translateMarkdown(content);
       console.log(
-        `✨ MARKDOWN Translation result: '${finalResult.substring(0, 100)}...'`
+        `📝 Markdown translated: ${markdownTranslator.stats.segments} segments, ${markdownTranslator.stats.images} image captions`
       );
-
-      return finalResult;
+      return translated;
     } catch (error) {
       console.error('❌ Failed to translate markdown content:', error);
       return content;
@@ -964,21 +2361,15 @@ export class ServerContentfulCloneService {
   }
 
   async translateBulletList(bulletList, sourceLanguage) {
-    const translatedBullets = [];
-
-    for (const bullet of bulletList) {
-      try {
-        const translatedBullet = await this.translateMarkdownContent(
-          bullet,
-          sourceLanguage
-        );
-        translatedBullets.push(translatedBullet);
-      } catch (error) {
-        console.error(`❌ Failed to translate bullet:`, error);
-        translatedBullets.push(bullet);
-      }
-    }
-
-    return translatedBullets;
+    return Promise.all(
+      bulletList.map(async (bullet) => {
+        try {
+          return await this.translateMarkdownContent(bullet, sourceLanguage);
+        } catch (error) {
+          console.error(`❌ Failed to translate bullet:`, error);
+          return bullet;
+        }
+      })
+    );
   }
 }
@@ -0,0 +1,209 @@
+/**
+ * Content Type Compatibility Service
+ * Compares the content types of a source tree with their counterparts in the
+ * destination space or environment of a cross-location clone. Missing content
+ * types, missing fields and changed field types block the clone; validations
+ * the destination adds or changes are reported, as translated values are
+ * checked against them anyway
+ */
+
+// Field properties that must match for values to be written unchanged
+const TYPE_PROPERTIES = ['type', 'linkType'];
+
+export class ContentTypeCompatibilityService {
+  /**
+   * @param {object} destinationEnvironment - Contentful environment clones are written to
+   */
+  constructor(destinationEnvironment) {
+    this.destinationEnvironment = destinationEnvironment;
+    this.contentTypeCache = new Map(); // Destination content types by ID, null if missing
+  }
+
+  /**
+   * Check source content types against the destination
+   * @param {object[]} sourceContentTypes - Content types of the entries to clone
+   * @returns {Promise<{compatible: boolean, issues: object[]}>} Every issue
+   *   names the content type, field and kind, and whether it blocks the clone
+   */
+  async check(sourceContentTypes) {
+    const issues = [];
+
+    for (const sourceContentType of sourceContentTypes) {
+      const contentTypeId = sourceContentType.sys.id;
+      const destinationContentType = await this.getDestinationContentType(
+        contentTypeId
+      );
+
+      if (!destinationContentType) {
+        issues.push({
+          contentTypeId,
+          fieldId: null,
+          issue: 'missing-content-type',
+          blocking: true,
+        });
+        continue;
+      }
+
+      issues.push(
+        ...this.compareFields(
+          contentTypeId,
+          sourceContentType.fields,
+          destinationContentType.fields
+        )
+      );
+    }
+
+    const compatible = !issues.some((issue) => issue.blocking);
+    console.log(
+      `🧩 Content type compatibility: ${sourceContentTypes.length} checked, ${
+        issues.length
+      } issues${compatible ? '' : ' (blocking)'}`
+    );
+    return { compatible, issues };
+  }
+
+  /**
+   * Compare the fields of a content type in both locations
+   */
+  compareFields(contentTypeId, sourceFields, destinationFields) {
+    const issues = [];
+    const destinationById = new Map(
+      destinationFields.map((field) => [field.id, field])
+    );
+    const sourceIds = new Set(sourceFields.map((field) => field.id));
+
+    for (const sourceField of sourceFields) {
+      if (sourceField.deleted) continue;
+
+      const destinationField = destinationById.get(sourceField.id);
+      if (!destinationField || destinationField.deleted) {
+        issues.push({
+          contentTypeId,
+          fieldId: sourceField.id,
+          issue: 'missing-field',
+          blocking: true,
+        });
+        continue;
+      }
+
+      const sourceType = this.describeType(sourceField);
+      const destinationType = this.describeType(destinationField);
+      if (sourceType !== destinationType) {
+        issues.push({
+          contentTypeId,
+          fieldId: sourceField.id,
+          issue: 'type-mismatch',
+          blocking: true,
+          source: sourceType,
+          destination: destinationType,
+        });
+        continue;
+      }
+
+      if (destinationField.required && !sourceField.required) {
+        issues.push({
+          contentTypeId,
+          fieldId: sourceField.id,
+          issue: 'validation',
+          validation: 'required',
+          blocking: false,
+        });
+      }
+      issues.push(
+        ...this.compareValidations(
+          contentTypeId,
+          sourceField.id,
+          sourceField.validations,
+          destinationField.validations
+        ),
+        ...this.compareValidations(
+          contentTypeId,
+          sourceField.id,
+          sourceField.items?.validations,
+          destinationField.items?.validations
+        )
+      );
+    }
+
+    // Clones leave fields the source does not have empty
+    for (const destinationField of destinationFields) {
+      if (destinationField.required && !sourceIds.has(destinationField.id)) {
+        issues.push({
+          contentTypeId,
+          fieldId: destinationField.id,
+          issue: 'validation',
+          validation: 'required',
+          blocking: false,
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Report every destination validation the source does not have as it is
+   * (validation messages are ignored)
+   */
+  compareValidations(contentTypeId, fieldId, source = [], destination = []) {
+    const withoutMessage = ({ message, ...validation }) => validation;
+    const sourceValidations = source.map(withoutMessage);
+
+    return destination
+      .map(withoutMessage)
+      .filter(
+        (validation) =>
+          !sourceValidations.some(
+            (candidate) =>
+              JSON.stringify(candidate) === JSON.stringify(validation)
+          )
+      )
+      .map((validation) => {
+        const [kind] = Object.keys(validation);
+        return {
+          contentTypeId,
+          fieldId,
+          issue: 'validation',
+          validation: kind,
+          blocking: false,
+          source:
+            sourceValidations.find((candidate) => kind in candidate)?.[kind] ??
+            null,
+          destination: validation[kind],
+        };
+      });
+  }
+
+  /**
+   * Field type with its link and item types, e.g. 'Array<Link<Entry>>'
+   */
+  describeType(field) {
+    const describe = (definition) => {
+      const [type, linkType] = TYPE_PROPERTIES.map((key) => definition[key]);
+      return linkType ? `${type}<${linkType}>` : type;
+    };
+    return field.items
+      ? `${describe(field)}<${describe(field.items)}>`
+      : describe(field);
+  }
+
+  /**
+   * Destination content type, or null when the destination lacks it
+   */
+  async getDestinationContentType(contentTypeId) {
+    if (!this.contentTypeCache.has(contentTypeId)) {
+      try {
+        this.contentTypeCache.set(
+          contentTypeId,
+          await this.destinationEnvironment.getContentType(contentTypeId)
+        );
+      } catch (error) {
+        if (error.name !== 'NotFound') {
+          throw error;
+        }
+        this.contentTypeCache.set(contentTypeId, null);
+      }
+    }
+    return this.contentTypeCache.get(contentTypeId);
+  }
+}
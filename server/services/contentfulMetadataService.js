@@ -287,13 +287,14 @@ export class ContentfulMetadataService {
     try {
       const entries = await this.environment.getEntries({
         content_type: this.contentTypeId,
-        'fields.sourceEntryId': sourceEntryId,
+        [`fields.sourceEntryId.${this.locale}`]: sourceEntryId,
       });
 
       return entries.items.map((entry) => ({
         relationshipId: entry.fields.relationshipId[this.locale],
         sourceEntryId: entry.fields.sourceEntryId[this.locale],
         targetEntryId: entry.fields.targetEntryId[this.locale],
+        translationContext: entry.fields.translationContext?.[this.locale],
         metadata: entry.fields.metadata[this.locale],
       }));
     } catch (error) {
@@ -13,6 +13,8 @@ export class DeepReferenceTracker {
     this.environment = environment;
     this.maxDepth = options.maxDepth || 3;
     this.autoTranslateNewRefs = options.autoTranslateNewRefs !== false;
+    // In-place locale translations only track the source locale
+    this.sourceLocale = options.sourceLocale || null;
   }
 
   /**
@@ -432,7 +434,9 @@ export class DeepReferenceTracker {
     const hashes = {};
     const crypto = await import('crypto');
 
-    for (const [fieldName, fieldValue] of Object.entries(entry.fields || {})) {
+    for (const [fieldName, fieldValue] of Object.entries(
+      this.projectSourceLocale(entry.fields)
+    )) {
       if (fieldValue && typeof fieldValue === 'object') {
         const fieldJson = JSON.stringify(fieldValue);
         hashes[fieldName] = crypto
@@ -455,10 +459,14 @@ export class DeepReferenceTracker {
       return false;
     }
 
-    // Check if field contains text content
+    // Check if field contains text content or a Rich Text document
     if (fieldValue && typeof fieldValue === 'object') {
       const values = Object.values(fieldValue);
-      return values.some((v) => typeof v === 'string' && v.trim().length > 0);
+      return values.some(
+        (v) =>
+          (typeof v === 'string' && v.trim().length > 0) ||
+          v?.nodeType === 'document'
+      );
     }
 
     return false;
@@ -667,7 +675,9 @@ export class DeepReferenceTracker {
     // Hash only the translatable fields to detect content changes
     const translatableFields = {};
 
-    for (const [fieldId, fieldValue] of Object.entries(entry.fields || {})) {
+    for (const [fieldId, fieldValue] of Object.entries(
+      this.projectSourceLocale(entry.fields)
+    )) {
       const isTranslatable = this.isTranslatableField(fieldId, fieldValue);
 
       if (isTranslatable) {
@@ -684,6 +694,25 @@ export class DeepReferenceTracker {
     return hash;
   }
 
+  /**
+   * Reduce entry fields to the tracked source locale, if one is set
+   */
+  projectSourceLocale(fields) {
+    if (!this.sourceLocale) {
+      return fields || {};
+    }
+
+    const projected = {};
+    for (const [fieldId, fieldValue] of Object.entries(fields || {})) {
+      if (fieldValue?.[this.sourceLocale] !== undefined) {
+        projected[fieldId] = {
+          [this.sourceLocale]: fieldValue[this.sourceLocale],
+        };
+      }
+    }
+    return projected;
+  }
+
   /**
    * Check if a reference points to an asset instead of an entry
    */
@@ -802,7 +831,9 @@ export class DeepReferenceTracker {
     // Check if it's a localized text field
     if (this.isLocalizedField(fieldValue)) {
       const values = Object.values(fieldValue);
-      return values.some((value) => typeof value === 'string');
+      return values.some(
+        (value) => typeof value === 'string' || value?.nodeType === 'document'
+      );
     }
 
     // Rich text and markdown fields
@@ -0,0 +1,487 @@
+/**
+ * Field Rules Service
+ * Loads the per-space field rule configuration (prefix, empty, copy-as-is,
+ * author, markdown, slug, reference, protection, link rewriting,
+ * translation profile, field validation, character budget and tag rules)
+ * shared by the clone and incremental services
+ */
+
+import { existsSync, readFileSync, statSync } from 'fs';
+import { join, dirname, extname } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { REFERENCE_MODES } from './referencePolicyService.js';
+import { BUILT_IN_PATTERNS } from './textProtector.js';
+import { PROFILE_OPTION_VALUES } from './translationProfileService.js';
+import { VALIDATION_STRATEGIES } from './fieldValidationService.js';
+import { BUDGET_ACTIONS } from './characterBudgetService.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const DEFAULT_RULES_PATH = join(__dirname, '..', 'config', 'field-rules.json');
+
+// Expected shape of every rule section: key -> value type
+const SECTION_SCHEMAS = {
+  prefix: {
+    prefix: 'string',
+    targetFields: 'string[]',
+    fieldTypes: 'string[]',
+  },
+  cultureFieldNames: 'string[]',
+  emptyFields: {
+    enabled: 'boolean',
+    fieldIds: 'string[]',
+  },
+  copyAsIs: {
+    enabled: 'boolean',
+    fieldIds: 'string[]',
+  },
+  author: {
+    enabled: 'boolean',
+    fieldIds: 'string[]',
+    authorContentType: 'string',
+    matchFields: 'string[]',
+    cultureField: 'string',
+  },
+  markdownFields: {
+    enabled: 'boolean',
+    fieldMappings: 'map<string[]>',
+  },
+  rootContentTypes: 'map<rootContentType>',
+  slug: {
+    enabled: 'boolean',
+    sourceField: 'string',
+    slugField: 'string',
+    uniqueWithin: 'string[]',
+    updateOnTitleChange: 'boolean',
+  },
+  referencePolicies: 'map<referencePolicy>',
+  protection: {
+    enabled: 'boolean',
+    builtInPatterns: 'protectionPattern[]',
+    terms: 'string[]',
+    patterns: 'regex[]',
+  },
+  linkRewriting: {
+    enabled: 'boolean',
+    domains: 'map<url>',
+    urlFields: 'string[]',
+    pageContentTypes: 'string[]',
+    pageUrlField: 'string',
+  },
+  translationProfiles: {
+    profiles: 'map<translationProfile>',
+    languages: 'map<string>',
+  },
+  fieldValidation: {
+    enabled: 'boolean',
+    size: 'sizeStrategy',
+    regexp: 'regexpStrategy',
+    unique: 'uniqueStrategy',
+  },
+  characterBudget: {
+    enabled: 'boolean',
+    maxCharacters: 'count',
+    checkQuota: 'boolean',
+    onExceed: 'budgetAction',
+  },
+  tags: {
+    enabled: 'boolean',
+    copyConcepts: 'boolean',
+    marketTagPrefix: 'string',
+    mappings: 'map<map<string>>',
+  },
+};
+
+// Expected shape of a root content type entry (all keys optional)
+const ROOT_CONTENT_TYPE_SCHEMA = {
+  cultureField: 'string',
+  useRequestLanguage: 'boolean',
+  defaultSourceLanguage: 'string',
+};
+
+// Expected shape of a translation profile (all keys optional)
+const TRANSLATION_PROFILE_SCHEMA = {
+  formality: 'formality',
+  preserveFormatting: 'boolean',
+  splitSentences: 'splitSentences',
+  context: 'string',
+  modelType: 'modelType',
+};
+
+// Expected shape of a reference policy (all keys optional); `fields` holds
+// per-referencing-field overrides of the same shape
+const REFERENCE_POLICY_SCHEMA = {
+  mode: 'referenceMode',
+  matchFields: 'string[]',
+  cultureField: 'string',
+  fallback: 'referenceMode',
+  fields: 'map<referencePolicy>',
+};
+
+export class FieldRulesService {
+  constructor(options = {}) {
+    this.rulesPath =
+      options.rulesPath || process.env.FIELD_RULES_PATH || DEFAULT_RULES_PATH;
+    this.configContentTypeId =
+      options.configContentTypeId || 'translatorConfig';
+    this.locale = 'en-US-POSIX';
+    this.rules = null;
+    this.loadedMtime = null;
+  }
+
+  /**
+   * Load and validate the rules file, throwing if it is missing or invalid
+   */
+  load() {
+    if (!existsSync(this.rulesPath)) {
+      throw new Error(`Field rules file not found: ${this.rulesPath}`);
+    }
+
+    const content = readFileSync(this.rulesPath, 'utf8');
+    const extension = extname(this.rulesPath).toLowerCase();
+    const rules =
+      extension === '.yaml' || extension === '.yml'
+        ? YAML.parse(content)
+        : JSON.parse(content);
+
+    const errors = this.validateRulesFile(rules);
+    if (errors.length > 0) {
+      throw new Error(
+        `Invalid field rules in ${this.rulesPath}:\n  - ${errors.join(
+          '\n  - '
+        )}`
+      );
+    }
+
+    this.rules = rules;
+    this.loadedMtime = statSync(this.rulesPath).mtimeMs;
+    console.log(`📐 Loaded field rules from ${this.rulesPath}`);
+    return this.rules;
+  }
+
+  /**
+   * Reload the rules file, keeping the previous rules if the new file is invalid
+   */
+  reload() {
+    const previousRules = this.rules;
+    const previousMtime = this.loadedMtime;
+
+    try {
+      return this.load();
+    } catch (error) {
+      this.rules = previousRules;
+      this.loadedMtime = previousMtime;
+      throw error;
+    }
+  }
+
+  /**
+   * Reload the rules file if it changed on disk since the last load
+   */
+  reloadIfChanged() {
+    if (!this.rules) {
+      this.load();
+      return;
+    }
+
+    try {
+      const mtime = statSync(this.rulesPath).mtimeMs;
+      if (mtime !== this.loadedMtime) {
+        console.log('🔄 Field rules file changed - reloading');
+        this.reload();
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not reload field rules, keeping previous rules: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Get the effective rules for a space and environment from the rules file
+   */
+  getRules(spaceId, environmentId) {
+    this.reloadIfChanged();
+
+    const spaceRules = this.rules.spaces?.[spaceId] || {};
+    return this.mergeRules(
+      this.rules.defaults,
+      spaceRules['*'],
+      spaceRules[environmentId]
+    );
+  }
+
+  /**
+   * Get the effective rules, applying a Contentful config entry on top of the file rules
+   */
+  async resolveRules(spaceId, environmentId, environment) {
+    const rules = this.getRules(spaceId, environmentId);
+
+    if (!environment) {
+      return rules;
+    }
+
+    try {
+      const entries = await environment.getEntries({
+        content_type: this.configContentTypeId,
+        limit: 1,
+      });
+      const entryRules =
+        entries.items[0]?.fields?.fieldRules?.[this.locale] || null;
+
+      if (!entryRules) {
+        return rules;
+      }
+
+      const errors = this.validateRules(entryRules, 'fieldRules', true);
+      if (errors.length > 0) {
+        console.warn(
+          `⚠️ Ignoring invalid field rules in Contentful config entry: ${errors.join(
+            '; '
+          )}`
+        );
+        return rules;
+      }
+
+      console.log(
+        `📐 Applied field rules from Contentful config entry ${entries.items[0].sys.id}`
+      );
+      return this.mergeRules(rules, entryRules);
+    } catch (error) {
+      // The config content type is optional - fall back to the file rules
+      return rules;
+    }
+  }
+
+  /**
+   * Merge rule sets section by section; later sets win
+   */
+  mergeRules(...ruleSets) {
+    const merged = {};
+
+    for (const ruleSet of ruleSets) {
+      if (!ruleSet) continue;
+
+      for (const [section, value] of Object.entries(ruleSet)) {
+        if (Array.isArray(value) || typeof value !== 'object') {
+          merged[section] = value;
+        } else {
+          merged[section] = { ...(merged[section] || {}), ...value };
+        }
+      }
+    }
+
+    return JSON.parse(JSON.stringify(merged));
+  }
+
+  /**
+   * Validate a whole rules file, returning a list of error messages
+   */
+  validateRulesFile(rules) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return ['Rules file must contain an object'];
+    }
+
+    if (rules.version !== 1) {
+      errors.push(`Unsupported rules version: ${rules.version}`);
+    }
+
+    errors.push(...this.validateRules(rules.defaults, 'defaults', false));
+
+    if (rules.spaces !== undefined) {
+      if (typeof rules.spaces !== 'object' || Array.isArray(rules.spaces)) {
+        errors.push('spaces must be an object keyed by space ID');
+      } else {
+        for (const [spaceId, environments] of Object.entries(rules.spaces)) {
+          if (!environments || typeof environments !== 'object') {
+            errors.push(
+              `spaces.${spaceId} must be an object keyed by environment ID`
+            );
+            continue;
+          }
+          for (const [environmentId, envRules] of Object.entries(
+            environments
+          )) {
+            errors.push(
+              ...this.validateRules(
+                envRules,
+                `spaces.${spaceId}.${environmentId}`,
+                true
+              )
+            );
+          }
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate a rule set; partial rule sets may omit sections and keys
+   */
+  validateRules(rules, path, partial) {
+    const errors = [];
+
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+      return [`${path} must be an object`];
+    }
+
+    for (const section of Object.keys(rules)) {
+      if (!SECTION_SCHEMAS[section]) {
+        errors.push(`${path}.${section} is not a known rule section`);
+      }
+    }
+
+    for (const [section, schema] of Object.entries(SECTION_SCHEMAS)) {
+      const value = rules[section];
+
+      if (value === undefined) {
+        if (!partial) errors.push(`${path}.${section} is required`);
+        continue;
+      }
+
+      if (typeof schema === 'string') {
+        if (!this.matchesType(value, schema)) {
+          errors.push(`${path}.${section} must be of type ${schema}`);
+        }
+        continue;
+      }
+
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${path}.${section} must be an object`);
+        continue;
+      }
+
+      for (const [key, type] of Object.entries(schema)) {
+        if (value[key] === undefined) {
+          if (!partial) errors.push(`${path}.${section}.${key} is required`);
+        } else if (!this.matchesType(value[key], type)) {
+          errors.push(`${path}.${section}.${key} must be of type ${type}`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Check a value against a schema type name
+   */
+  matchesType(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'count':
+        return Number.isInteger(value) && value >= 0;
+      case 'string[]':
+        return (
+          Array.isArray(value) &&
+          value.every((item) => typeof item === 'string')
+        );
+      case 'map<string[]>':
+        return (
+          !!value &&
+          typeof value === 'object' &&
+          !Array.isArray(value) &&
+          Object.values(value).every((item) =>
+            this.matchesType(item, 'string[]')
+          )
+        );
+      case 'map<string>':
+        return (
+          !!value &&
+          typeof value === 'object' &&
+          !Array.isArray(value) &&
+          Object.values(value).every((item) => typeof item === 'string')
+        );
+      case 'map<map<string>>':
+        return (
+          !!value &&
+          typeof value === 'object' &&
+          !Array.isArray(value) &&
+          Object.values(value).every((item) =>
+            this.matchesType(item, 'map<string>')
+          )
+        );
+      case 'map<url>':
+        return (
+          !!value &&
+          typeof value === 'object' &&
+          !Array.isArray(value) &&
+          Object.values(value).every(
+            (item) => typeof item === 'string' && /^https?:\/\/[^/]+/.test(item)
+          )
+        );
+      case 'map<rootContentType>':
+        return this.matchesMapSchema(value, ROOT_CONTENT_TYPE_SCHEMA);
+      case 'map<referencePolicy>':
+        return this.matchesMapSchema(value, REFERENCE_POLICY_SCHEMA);
+      case 'map<translationProfile>':
+        return this.matchesMapSchema(value, TRANSLATION_PROFILE_SCHEMA);
+      case 'referenceMode':
+        return REFERENCE_MODES.includes(value);
+      case 'formality':
+      case 'splitSentences':
+      case 'modelType':
+        return PROFILE_OPTION_VALUES[type].includes(value);
+      case 'sizeStrategy':
+      case 'regexpStrategy':
+      case 'uniqueStrategy':
+        return VALIDATION_STRATEGIES[
+          type.slice(0, -'Strategy'.length)
+        ].includes(value);
+      case 'budgetAction':
+        return BUDGET_ACTIONS.includes(value);
+      case 'protectionPattern[]':
+        return (
+          Array.isArray(value) &&
+          value.every((name) => Object.hasOwn(BUILT_IN_PATTERNS, name))
+        );
+      case 'regex[]':
+        return (
+          this.matchesType(value, 'string[]') &&
+          value.every((source) => {
+            try {
+              new RegExp(source, 'g');
+              return true;
+            } catch {
+              return false;
+            }
+          })
+        );
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Check that a value is an object map whose items only use keys of the schema
+   */
+  matchesMapSchema(value, schema) {
+    return (
+      !!value &&
+      typeof value === 'object' &&
+      !Array.isArray(value) &&
+      Object.values(value).every(
+        (item) =>
+          !!item &&
+          typeof item === 'object' &&
+          !Array.isArray(item) &&
+          Object.entries(item).every(
+            ([key, itemValue]) =>
+              schema[key] && this.matchesType(itemValue, schema[key])
+          )
+      )
+    );
+  }
+}
+
+// Shared instance so every service reads the same rules
+export const fieldRulesService = new FieldRulesService();
@@ -0,0 +1,310 @@
+/**
+ * Field Validation Service
+ * Checks translated values against the validations of their content type
+ * field (size, regexp, unique) before the clone and incremental services
+ * write them, and applies the strategy configured per rule in the
+ * `fieldValidation` field rules
+ */
+
+import { TranslationBatcher } from './translationBatcher.js';
+
+// Allowed strategies per validation rule; the first one is the default
+export const VALIDATION_STRATEGIES = {
+  size: ['truncate', 'retranslate', 'flag'],
+  regexp: ['source', 'flag'],
+  unique: ['suffix', 'flag'],
+};
+
+const ELLIPSIS = '…';
+
+export class FieldValidationService {
+  /**
+   * @param {object} rules - The `fieldValidation` field rules
+   * @param {object} environment - Contentful environment, for unique checks
+   */
+  constructor(rules = {}, environment) {
+    this.enabled = rules.enabled !== false;
+    this.strategies = Object.fromEntries(
+      Object.entries(VALIDATION_STRATEGIES).map(([rule, allowed]) => [
+        rule,
+        rules[rule] || allowed[0],
+      ])
+    );
+    this.environment = environment;
+    this.claimedValues = new Set(); // Unique values taken by the current run
+    this.violations = []; // Every violation found, with the strategy applied
+  }
+
+  /**
+   * Check one translated string (or list of strings) against the validations
+   * of its field and return the value to write. Violations are recorded
+   * @param {*} value - Translated value
+   * @param {object} fieldDef - Content type field with its validations
+   * @param {object} context
+   * @param {string} context.entryId - Entry the value belongs to (null for new entries)
+   * @param {string} context.sourceEntryId - Source entry the value was translated from
+   * @param {string} context.contentTypeId
+   * @param {string} context.locale
+   * @param {string} context.sourceValue - Untranslated value, kept by the 'source' strategy
+   * @param {boolean} context.truncatable - False for markdown, which truncation would break
+   * @param {Function} context.retranslate - (maxLength) => shorter translation
+   */
+  async enforce(value, fieldDef, context) {
+    if (!this.enabled) {
+      return value;
+    }
+
+    if (Array.isArray(value)) {
+      const itemValidations = fieldDef.items?.validations || [];
+      const items = [];
+      for (const [index, item] of value.entries()) {
+        items.push(
+          typeof item === 'string'
+            ? await this.enforceString(item, itemValidations, fieldDef, {
+                ...context,
+                sourceValue: context.sourceValue?.[index],
+                retranslate: null,
+                unique: false,
+              })
+            : item
+        );
+      }
+      return items;
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+    return await this.enforceString(
+      value,
+      fieldDef.validations || [],
+      fieldDef,
+      { ...context, unique: true }
+    );
+  }
+
+  /**
+   * Apply the size, regexp and unique validations to one string, in that order
+   */
+  async enforceString(value, validations, fieldDef, context) {
+    let result = value;
+
+    const size = validations.find((validation) => validation.size)?.size;
+    if (size) {
+      result = await this.enforceSize(result, size, fieldDef, context);
+    }
+
+    const regexp = validations.find((validation) => validation.regexp)?.regexp;
+    if (regexp) {
+      result = this.enforceRegexp(result, regexp, fieldDef, context);
+    }
+
+    if (
+      context.unique &&
+      validations.some((validation) => validation.unique) &&
+      result
+    ) {
+      result = await this.enforceUnique(result, size?.max, fieldDef, context);
+    }
+
+    return result;
+  }
+
+  /**
+   * Fit a value into its size limits: truncate it at a word boundary, or ask
+   * for a shorter translation first. Too short values can only be flagged
+   */
+  async enforceSize(value, { min, max }, fieldDef, context) {
+    if (min !== undefined && value.length < min) {
+      this.record('size', 'flag', fieldDef, context, {
+        limit: { min },
+        length: value.length,
+        value,
+        resolved: false,
+      });
+      return value;
+    }
+
+    if (max === undefined || value.length <= max) {
+      return value;
+    }
+
+    const strategy = this.strategies.size;
+    let result = value;
+
+    if (strategy === 'retranslate' && context.retranslate) {
+      try {
+        result = await context.retranslate(max);
+      } catch (error) {
+        console.warn(`⚠️ Shorter re-translation failed: ${error.message}`);
+      }
+    }
+    if (strategy !== 'flag' && result.length > max && context.truncatable) {
+      result = FieldValidationService.truncate(result, max);
+    }
+
+    this.record('size', strategy, fieldDef, context, {
+      limit: { max },
+      length: value.length,
+      originalValue: value,
+      value: result,
+      resolved: result.length <= max,
+    });
+    return result;
+  }
+
+  /**
+   * Keep the source value when the translation breaks the field's pattern
+   */
+  enforceRegexp(value, { pattern, flags }, fieldDef, context) {
+    const matches = (text) => new RegExp(pattern, flags || '').test(text);
+    if (matches(value)) {
+      return value;
+    }
+
+    const strategy = this.strategies.regexp;
+    const result =
+      strategy === 'source' &&
+      typeof context.sourceValue === 'string' &&
+      matches(context.sourceValue)
+        ? context.sourceValue
+        : value;
+
+    this.record('regexp', strategy, fieldDef, context, {
+      limit: { pattern, flags },
+      originalValue: value,
+      value: result,
+      resolved: result !== value,
+    });
+    return result;
+  }
+
+  /**
+   * Add ' (2)', ' (3)', ... to a value another entry of the content type
+   * (or another clone of this run) already uses
+   */
+  async enforceUnique(value, max, fieldDef, context) {
+    const taken = async (candidate) =>
+      this.claimedValues.has(this.getClaimKey(fieldDef, context, candidate)) ||
+      (await this.isTaken(candidate, fieldDef, context));
+
+    let result = value;
+    if (await taken(value)) {
+      const strategy = this.strategies.unique;
+
+      if (strategy === 'suffix') {
+        for (let counter = 2; await taken(result); counter++) {
+          const suffix = ` (${counter})`;
+          const base =
+            max !== undefined && value.length + suffix.length > max
+              ? FieldValidationService.truncate(value, max - suffix.length)
+              : value;
+          result = `${base}${suffix}`;
+        }
+      }
+
+      this.record('unique', strategy, fieldDef, context, {
+        limit: { unique: true },
+        originalValue: value,
+        value: result,
+        resolved: result !== value,
+      });
+    }
+
+    this.claimedValues.add(this.getClaimKey(fieldDef, context, result));
+    return result;
+  }
+
+  /**
+   * Whether another entry of the content type has the value in the field, in
+   * the locale being written
+   */
+  async isTaken(value, fieldDef, context) {
+    try {
+      const entries = await this.environment.getEntries({
+        content_type: context.contentTypeId,
+        [`fields.${fieldDef.id}.${context.locale}`]: value,
+        ...(context.entryId ? { 'sys.id[ne]': context.entryId } : {}),
+        limit: 1,
+      });
+      return entries.items.length > 0;
+    } catch (error) {
+      console.warn(
+        `⚠️ Unique check failed for ${context.contentTypeId}.${fieldDef.id}: ${error.message}`
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Key of a unique value taken by the current run
+   */
+  getClaimKey(fieldDef, context, value) {
+    return JSON.stringify([
+      context.contentTypeId,
+      fieldDef.id,
+      context.locale,
+      value,
+    ]);
+  }
+
+  /**
+   * Record a violation with the strategy that was applied
+   */
+  record(rule, strategy, fieldDef, context, details) {
+    const violation = {
+      rule,
+      strategy,
+      entryId: context.entryId || null,
+      sourceEntryId: context.sourceEntryId || null,
+      contentTypeId: context.contentTypeId,
+      fieldId: fieldDef.id,
+      locale: context.locale,
+      ...details,
+    };
+    this.violations.push(violation);
+    console.warn(
+      `⚠️ ${rule} validation of ${context.contentTypeId}.${
+        fieldDef.id
+      } violated (${strategy}${violation.resolved ? ', resolved' : ''})`
+    );
+  }
+
+  /**
+   * Cut a text to at most maxLength characters at a word boundary, ending it
+   * with an ellipsis; a single long word is cut inside the word
+   */
+  static truncate(text, maxLength) {
+    if (text.length <= maxLength) {
+      return text;
+    }
+    if (maxLength <= ELLIPSIS.length) {
+      return text.slice(0, maxLength);
+    }
+
+    const cut = text.slice(0, maxLength - ELLIPSIS.length + 1);
+    const boundary = cut.search(/\s\S*$/);
+    const head =
+      boundary > maxLength / 2
+        ? cut.slice(0, boundary)
+        : cut.slice(0, maxLength - ELLIPSIS.length);
+    return `${head.replace(/[\s,;:.\-–—]+$/, '')}${ELLIPSIS}`;
+  }
+
+  /**
+   * Batcher for shorter re-translations: without the translation memory, so
+   * the remembered (too long) translation is not returned again
+   */
+  static createRetranslationBatcher(batcher) {
+    return new TranslationBatcher(batcher.translator, {
+      protector: batcher.protector,
+    });
+  }
+
+  /**
+   * DeepL options asking for a translation that fits a size limit
+   */
+  static getShorterOptions(maxLength) {
+    return { context: `Short text of at most ${maxLength} characters.` };
+  }
+}
@@ -0,0 +1,301 @@
+/**
+ * Glossary Service
+ * Manages DeepL glossaries per language pair (brand and automotive terms) and
+ * decides whether a glossary can be used for a translation
+ */
+
+import * as deepl from 'deepl-node';
+
+export class GlossaryService {
+  constructor(translator) {
+    this.translator = translator;
+    this.glossaryCache = new Map(); // Maps glossary ID to its info (null if missing)
+    this.languagePairs = null; // Language pairs DeepL supports glossaries for
+  }
+
+  /**
+   * Glossaries are defined per base language ('EN-GB' and 'en' both become 'en')
+   */
+  static getGlossaryLanguage(language) {
+    return String(language || '')
+      .toLowerCase()
+      .split('-')[0];
+  }
+
+  /**
+   * DeepL options selecting a resolved glossary, or none when the glossary's
+   * source language does not match the text's source language
+   */
+  static getGlossaryOptions(glossary, sourceLanguage) {
+    if (
+      !glossary ||
+      GlossaryService.getGlossaryLanguage(sourceLanguage) !==
+        glossary.sourceLang
+    ) {
+      return {};
+    }
+    return { glossary: glossary.glossaryId };
+  }
+
+  /**
+   * Get the language pairs DeepL supports glossaries for (fetched once)
+   */
+  async getLanguagePairs() {
+    if (!this.languagePairs) {
+      this.languagePairs = await this.translator.getGlossaryLanguagePairs();
+    }
+    return this.languagePairs;
+  }
+
+  /**
+   * Check whether DeepL supports glossaries for a language pair
+   */
+  async isLanguagePairSupported(sourceLanguage, targetLanguage) {
+    const source = GlossaryService.getGlossaryLanguage(sourceLanguage);
+    const target = GlossaryService.getGlossaryLanguage(targetLanguage);
+
+    return (await this.getLanguagePairs()).some(
+      (pair) =>
+        pair.sourceLang.toLowerCase() === source &&
+        pair.targetLang.toLowerCase() === target
+    );
+  }
+
+  /**
+   * List glossaries, optionally only those of one language pair
+   */
+  async listGlossaries(filters = {}) {
+    const source =
+      filters.sourceLanguage &&
+      GlossaryService.getGlossaryLanguage(filters.sourceLanguage);
+    const target =
+      filters.targetLanguage &&
+      GlossaryService.getGlossaryLanguage(filters.targetLanguage);
+
+    const glossaries = await this.translator.listGlossaries();
+    return glossaries
+      .filter(
+        (glossary) =>
+          (!source || glossary.sourceLang === source) &&
+          (!target || glossary.targetLang === target)
+      )
+      .map((glossary) => this.describeGlossary(glossary));
+  }
+
+  /**
+   * Get a glossary, optionally with its entries
+   */
+  async getGlossary(glossaryId, options = {}) {
+    const glossary = await this.translator.getGlossary(glossaryId);
+    const description = this.describeGlossary(glossary);
+
+    if (options.includeEntries) {
+      const entries = await this.translator.getGlossaryEntries(glossary);
+      description.entries = entries.entries();
+    }
+    return description;
+  }
+
+  /**
+   * Create a glossary from an entries object, CSV or TSV text
+   * @param {object} options
+   * @param {string} options.name
+   * @param {string} options.sourceLanguage
+   * @param {string} options.targetLanguage
+   * @param {Record<string, string>} [options.entries] - Source term -> target term
+   * @param {string} [options.csv] - DeepL CSV: source,target per line
+   * @param {string} [options.tsv] - Source and target term separated by a tab per line
+   */
+  async createGlossary(options) {
+    const { name, sourceLanguage, targetLanguage } = options;
+
+    if (!name || !sourceLanguage || !targetLanguage) {
+      throw new Error(
+        'A glossary needs a name, sourceLanguage and targetLanguage'
+      );
+    }
+    if (!(await this.isLanguagePairSupported(sourceLanguage, targetLanguage))) {
+      throw new Error(
+        `DeepL does not support glossaries for ${sourceLanguage} → ${targetLanguage}`
+      );
+    }
+
+    const glossary = await this.translator.createGlossary(
+      name,
+      GlossaryService.getGlossaryLanguage(sourceLanguage),
+      GlossaryService.getGlossaryLanguage(targetLanguage),
+      this.parseEntries(options)
+    );
+
+    console.log(
+      `📖 Created glossary '${name}' (${glossary.glossaryId}) with ${glossary.entryCount} entries`
+    );
+    return this.describeGlossary(glossary);
+  }
+
+  /**
+   * Update a glossary. DeepL glossaries are immutable, so this creates a
+   * replacement (with a new ID) and deletes the old glossary. With `merge`
+   * the given entries are added to the existing ones instead of replacing them
+   */
+  async updateGlossary(glossaryId, options = {}) {
+    const existing = await this.translator.getGlossary(glossaryId);
+    const hasEntries = options.entries || options.csv || options.tsv;
+
+    const entries = hasEntries
+      ? this.parseEntries(options)
+      : new deepl.GlossaryEntries();
+    if (options.merge || !hasEntries) {
+      const existingEntries = await this.translator.getGlossaryEntries(
+        existing
+      );
+      const newTerms = entries.entries();
+      for (const [source, target] of Object.entries(
+        existingEntries.entries()
+      )) {
+        if (!(source in newTerms)) {
+          entries.add(source, target);
+        }
+      }
+    }
+
+    const glossary = await this.translator.createGlossary(
+      options.name || existing.name,
+      existing.sourceLang,
+      existing.targetLang,
+      entries
+    );
+    await this.translator.deleteGlossary(existing);
+    this.glossaryCache.delete(glossaryId);
+
+    console.log(
+      `📖 Replaced glossary ${glossaryId} with ${glossary.glossaryId} (${glossary.entryCount} entries)`
+    );
+    return {
+      ...this.describeGlossary(glossary),
+      replacedGlossaryId: glossaryId,
+    };
+  }
+
+  /**
+   * Delete a glossary
+   */
+  async deleteGlossary(glossaryId) {
+    await this.translator.deleteGlossary(glossaryId);
+    this.glossaryCache.delete(glossaryId);
+    console.log(`🗑️ Deleted glossary ${glossaryId}`);
+  }
+
+  /**
+   * Resolve a glossary for translating into a target language. Returns null
+   * (and translation continues without a glossary) when the glossary is
+   * missing, not ready or made for another target language
+   */
+  async resolveGlossary(glossaryId, targetLanguage) {
+    if (!glossaryId) {
+      return null;
+    }
+
+    if (!this.glossaryCache.has(glossaryId)) {
+      try {
+        this.glossaryCache.set(
+          glossaryId,
+          await this.translator.getGlossary(glossaryId)
+        );
+      } catch (error) {
+        console.warn(
+          `⚠️ Glossary ${glossaryId} is not available - translating without it: ${error.message}`
+        );
+        this.glossaryCache.set(glossaryId, null);
+      }
+    }
+
+    const glossary = this.glossaryCache.get(glossaryId);
+    if (!glossary) {
+      return null;
+    }
+    if (!glossary.ready) {
+      this.glossaryCache.delete(glossaryId); // Check again next time
+      console.warn(
+        `⚠️ Glossary ${glossaryId} is not ready yet - translating without it`
+      );
+      return null;
+    }
+    if (
+      glossary.targetLang !==
+      GlossaryService.getGlossaryLanguage(targetLanguage)
+    ) {
+      console.warn(
+        `⚠️ Glossary ${glossaryId} is for ${glossary.sourceLang} → ${glossary.targetLang}, not ${targetLanguage} - translating without it`
+      );
+      return null;
+    }
+
+    return glossary;
+  }
+
+  /**
+   * Build glossary entries from an entries object, CSV or TSV text
+   */
+  parseEntries({ entries, csv, tsv }) {
+    if (entries) {
+      return new deepl.GlossaryEntries({ entries });
+    }
+    if (tsv) {
+      return new deepl.GlossaryEntries({ tsv });
+    }
+    if (csv) {
+      return new deepl.GlossaryEntries({ entries: this.parseCsv(csv) });
+    }
+    throw new Error('Glossary entries are required (entries, csv or tsv)');
+  }
+
+  /**
+   * Parse DeepL glossary CSV (source,target[,sourceLang,targetLang]) with
+   * quoted values
+   */
+  parseCsv(csv) {
+    const entries = {};
+
+    for (const line of csv.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+
+      const values = [];
+      const cellPattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(?:,|$)/g;
+      let match;
+      while (
+        cellPattern.lastIndex < line.length &&
+        (match = cellPattern.exec(line)) !== null
+      ) {
+        values.push(
+          match[1] !== undefined
+            ? match[1].replace(/""/g, '"')
+            : match[2].trim()
+        );
+      }
+
+      const [source, target] = values;
+      if (!source || !target) {
+        throw new Error(`Invalid glossary CSV line: '${line}'`);
+      }
+      entries[source] = target;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Plain glossary description for API responses
+   */
+  describeGlossary(glossary) {
+    return {
+      glossaryId: glossary.glossaryId,
+      name: glossary.name,
+      ready: glossary.ready,
+      sourceLanguage: glossary.sourceLang,
+      targetLanguage: glossary.targetLang,
+      entryCount: glossary.entryCount,
+      creationTime: glossary.creationTime,
+    };
+  }
+}
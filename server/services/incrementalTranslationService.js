@@ -16,18 +16,62 @@ import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { ChangeDetectionService } from './changeDetectionService.js';
 import { ContentfulMetadataService } from './contentfulMetadataService.js';
+import { PublishService } from './publishService.js';
+import { fieldRulesService } from './fieldRulesService.js';
+import { RichTextTranslator } from './richTextTranslator.js';
+import { MarkdownTranslator } from './markdownTranslator.js';
+import { SlugService } from './slugService.js';
+import { ReferencePolicyService } from './referencePolicyService.js';
+import { TranslationBatcher } from './translationBatcher.js';
+import { translationMemoryService } from './translationMemoryService.js';
+import { GlossaryService } from './glossaryService.js';
+import { TranslationProfileService } from './translationProfileService.js';
+import { createTranslationProvider } from './translationProviders.js';
+import { TextProtector } from './textProtector.js';
+import { LinkRewriteService } from './linkRewriteService.js';
+import { localeRegistry } from './localeRegistry.js';
+import { FieldValidationService } from './fieldValidationService.js';
+import { CharacterBudgetService } from './characterBudgetService.js';
+import { TagMappingService } from './tagMappingService.js';
+import { ServerContentfulCloneService } from './cloneService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+/**
+ * Build the relationship target ID of an in-place locale translation
+ */
+export function toLocaleTargetId(entryId, locale) {
+  return `${entryId}@${locale}`;
+}
+
+/**
+ * Split a relationship target ID into the target entry ID and, for in-place
+ * locale translations, the target locale
+ */
+export function parseTargetEntryId(targetEntryId) {
+  const [entryId, locale = null] = String(targetEntryId).split('@');
+  return { entryId, locale };
+}
+
 export class ServerIncrementalTranslationService {
   constructor(cmaClient, deeplApiKey) {
     this.cma = cmaClient;
     this.deeplApiKey = deeplApiKey;
+    this.batcher = null; // Created on first translation, see getBatcher()
+    this.glossaryService = null; // Created with the batcher
+    this.linkRewriter = null; // Created per update, see performIncrementalUpdate()
     this.space = null;
     this.environment = null;
     this.spaceId = null;
     this.environmentId = null;
+    this.targetEnvironment = null; // Environment of the target entries, see useDestination()
+    this.contentTypeCache = new Map(); // Content types read for field validations
+    this.fieldValidation = null; // Created per environment in initialize()
+
+    // Field rules shared with the clone service (re-resolved per space in initialize())
+    this.fieldRules = fieldRulesService.getRules();
+    this.protector = new TextProtector(this.fieldRules.protection);
 
     // Initialize tracking directory (backward compatibility)
     this.trackingDir = join(process.cwd(), 'data', 'tracking');
@@ -64,6 +108,19 @@ export class ServerIncrementalTranslationService {
     this.space = await this.cma.getSpace(spaceId);
     this.environment = await this.space.getEnvironment(environmentId);
 
+    // Load the field rules configured for this space and environment
+    this.fieldRules = await fieldRulesService.resolveRules(
+      spaceId,
+      environmentId,
+      this.environment
+    );
+
+    this.protector = new TextProtector(this.fieldRules.protection);
+    if (this.batcher) {
+      this.batcher.protector = this.protector;
+    }
+    await this.useDestination();
+
     // Initialize Contentful metadata service
     this.contentfulMetadataService = new ContentfulMetadataService(
       this.environment
@@ -71,6 +128,42 @@ export class ServerIncrementalTranslationService {
     console.log('✅ Initialized Contentful metadata service');
   }
 
+  /**
+   * Read and write target entries in the destination a relationship's
+   * translation context records (cross-location clones), else next to the
+   * source entries
+   */
+  async useDestination(translationContext = {}) {
+    const { spaceId, environmentId } =
+      translationContext.destinationLocation || {};
+
+    if (
+      !spaceId ||
+      (spaceId === this.spaceId && environmentId === this.environmentId)
+    ) {
+      this.targetEnvironment = this.environment;
+    } else {
+      const space = await this.cma.getSpace(spaceId);
+      this.targetEnvironment = await space.getEnvironment(environmentId);
+      console.log(`🧭 Target entries are in ${spaceId}/${environmentId}`);
+    }
+
+    this.referencePolicies = new ReferencePolicyService(
+      this.fieldRules,
+      this.targetEnvironment
+    );
+    this.contentTypeCache.clear();
+    this.fieldValidation = new FieldValidationService(
+      this.fieldRules.fieldValidation || { enabled: false },
+      this.targetEnvironment
+    );
+    this.tagMapping = new TagMappingService(
+      this.fieldRules.tags || { enabled: false },
+      this.targetEnvironment,
+      this.cma
+    );
+  }
+
   /**
    * Check if incremental updates are available for a translation relationship
    */
@@ -94,6 +187,7 @@ export class ServerIncrementalTranslationService {
             'Create initial translation first using the Clone & Translate feature.',
         };
       }
+      await this.useDestination(relationship.translationContext);
 
       // Get current source entry
       const sourceEntry = await this.environment.getEntry(sourceEntryId);
@@ -109,6 +203,7 @@ export class ServerIncrementalTranslationService {
       await this.initializeDeepTrackingAsync(this.environment, {
         maxDepth: 3,
         autoTranslateNewRefs: true,
+        sourceLocale: relationship.translationContext?.sourceLocale,
       });
 
       // Enhanced change detection with deep reference monitoring
@@ -121,6 +216,9 @@ export class ServerIncrementalTranslationService {
           this.environment
         );
 
+      // Cloned assets are tracked alongside the entry tree
+      changes.push(...(await this.detectClonedAssetChanges(relationship)));
+
       // Check for conflicts (manual modifications in target)
       const conflicts = await this.detectConflicts(
         sourceEntryId,
@@ -170,6 +268,94 @@ export class ServerIncrementalTranslationService {
     }
   }
 
+  /**
+   * Estimate the characters an incremental update would send for translation,
+   * without changing anything. Changed and new child entries are counted
+   * whole and memory hits are not subtracted, so this is an upper bound
+   */
+  async estimateUpdateCharacters(sourceEntryId, targetEntryId) {
+    const relationship = await this.getRelationship(
+      sourceEntryId,
+      targetEntryId
+    );
+    if (!relationship) {
+      throw new Error('No translation relationship found');
+    }
+
+    const sourceEntry = await this.environment.getEntry(sourceEntryId);
+    const sourceLocale =
+      relationship.translationContext?.sourceLocale || 'en-US-POSIX';
+
+    await this.initializeDeepTrackingAsync(this.environment, {
+      maxDepth: 3,
+      autoTranslateNewRefs: true,
+      sourceLocale: relationship.translationContext?.sourceLocale,
+    });
+
+    const changes = await this.changeDetectionService.detectParentFieldChanges(
+      sourceEntry,
+      relationship.metadata.lastTranslatedVersion,
+      sourceEntryId,
+      targetEntryId,
+      this.environment
+    );
+    changes.push(...(await this.detectClonedAssetChanges(relationship)));
+
+    let characters = 0;
+    const countedEntries = new Set(); // Nested references show up in several changes
+    for (const change of changes.filter((change) => change.needsTranslation)) {
+      if (change.type === 'field') {
+        characters += this.countFieldCharacters(
+          change.fieldName,
+          change.newValue,
+          sourceLocale
+        );
+      } else if (change.type === 'asset') {
+        const sourceAsset = await this.environment.getAsset(
+          change.sourceAssetId
+        );
+        characters += CharacterBudgetService.countCharacters([
+          sourceAsset.fields.title,
+          sourceAsset.fields.description,
+        ]);
+      } else {
+        for (const { id } of change.deepChanges || []) {
+          if (!id || countedEntries.has(id)) continue;
+          countedEntries.add(id);
+
+          const childEntry = await this.environment.getEntry(id);
+          for (const [fieldName, fieldValue] of Object.entries(
+            childEntry.fields
+          )) {
+            characters += this.countFieldCharacters(
+              fieldName,
+              fieldValue,
+              sourceLocale
+            );
+          }
+        }
+      }
+    }
+
+    return {
+      targetLanguage: relationship.translationContext.targetLanguage,
+      characters,
+      changes: changes.length,
+    };
+  }
+
+  /**
+   * Source characters of a translatable field, in the source locale
+   */
+  countFieldCharacters(fieldName, fieldValue, sourceLocale) {
+    if (!this.isTranslatableField(fieldName, fieldValue)) {
+      return 0;
+    }
+    return CharacterBudgetService.countCharacters(
+      fieldValue[sourceLocale] ?? Object.values(fieldValue)[0]
+    );
+  }
+
   /**
    * Perform incremental update of a translated entry
    */
@@ -190,10 +376,16 @@ export class ServerIncrementalTranslationService {
       if (!relationship) {
         throw new Error('No translation relationship found');
       }
+      await this.useDestination(relationship.translationContext);
+      this.linkRewriter = this.createLinkRewriter(
+        relationship.translationContext
+      );
 
-      // Get entries
+      // Get entries (in-place locale translations read and write the same entry)
       const sourceEntry = await this.environment.getEntry(sourceEntryId);
-      const targetEntry = await this.environment.getEntry(targetEntryId);
+      const targetEntry = await this.targetEnvironment.getEntry(
+        parseTargetEntryId(targetEntryId).entryId
+      );
 
       // Create backup before updating
       const backupId = await this.createBackupSnapshot(
@@ -207,6 +399,7 @@ export class ServerIncrementalTranslationService {
       await this.initializeDeepTrackingAsync(this.environment, {
         maxDepth: 3,
         autoTranslateNewRefs: true,
+        sourceLocale: relationship.translationContext?.sourceLocale,
       });
 
       // Enhanced change detection with deep reference monitoring
@@ -219,6 +412,9 @@ export class ServerIncrementalTranslationService {
           this.environment
         );
 
+      // Cloned assets are tracked alongside the entry tree
+      changes.push(...(await this.detectClonedAssetChanges(relationship)));
+
       if (changes.length === 0) {
         console.log('✅ No changes to apply - translation is up to date');
         return {
@@ -253,7 +449,17 @@ export class ServerIncrementalTranslationService {
       // Update relationship metadata
       const currentVersion =
         sourceEntry.sys.publishedVersion || sourceEntry.sys.version;
-      const currentFieldHashes = this.generateFieldHashes(sourceEntry);
+      const currentFieldHashes = this.generateFieldHashes(
+        sourceEntry,
+        relationship.translationContext?.sourceLocale
+      );
+      // Re-read the relationship - child updates may have added mappings
+      const latestRelationship =
+        (await this.getRelationship(sourceEntryId, targetEntryId)) ||
+        relationship;
+      const currentAssetHashes = await this.generateAssetHashes(
+        latestRelationship.cloneMapping
+      );
 
       await this.createOrUpdateRelationship(
         sourceEntryId,
@@ -261,7 +467,10 @@ export class ServerIncrementalTranslationService {
         currentVersion,
         relationship.translationContext,
         currentFieldHashes,
-        relationship.cloneMapping || {}
+        latestRelationship.cloneMapping || {},
+        currentAssetHashes,
+        latestRelationship.metadata?.linkedReferences || {},
+        this.getTagsHash(sourceEntry, relationship.translationContext)
       );
 
       // Update reference versions for deep reference monitoring
@@ -282,11 +491,20 @@ export class ServerIncrementalTranslationService {
         );
       }
 
+      const publishReport = options.publish
+        ? await this.publishTargetTree(sourceEntryId, targetEntryId, {
+            onlyPreviouslyPublished: !!options.publishOnlyPublished,
+          })
+        : undefined;
+
       return {
         success: true,
         fieldsUpdated,
         backupId,
         newVersion: updatedEntry.sys.version,
+        linkReport: this.linkRewriter?.report,
+        violations: this.fieldValidation.violations,
+        publishReport,
         message: `Successfully updated ${fieldsUpdated.length} fields`,
       };
     } catch (error) {
@@ -299,6 +517,40 @@ export class ServerIncrementalTranslationService {
     }
   }
 
+  /**
+   * Publish the target tree of a relationship leaves-first: the target entry
+   * and every entry or asset it was cloned into (reused assets and shared or
+   * looked-up entries excluded)
+   */
+  async publishTargetTree(sourceEntryId, targetEntryId, options = {}) {
+    // Re-read the relationship - the update may have cloned new references
+    const relationship = await this.getRelationship(
+      sourceEntryId,
+      targetEntryId
+    );
+    const rootEntryId = parseTargetEntryId(targetEntryId).entryId;
+    const items = new Map([
+      [`Entry:${rootEntryId}`, { type: 'Entry', id: rootEntryId }],
+    ]);
+
+    const linkedReferences = relationship?.metadata?.linkedReferences || {};
+    for (const [key, targetId] of Object.entries(
+      relationship?.cloneMapping || {}
+    )) {
+      const [type, sourceId] = key.split(':');
+      if (!targetId || (type === 'Asset' && targetId === sourceId)) continue;
+      if (linkedReferences[key]) continue; // Shared or looked-up, not ours
+      items.set(`${type}:${targetId}`, { type, id: targetId });
+    }
+
+    await this.useDestination(relationship?.translationContext);
+    return await new PublishService(this.targetEnvironment).publishTree(
+      rootEntryId,
+      [...items.values()],
+      options
+    );
+  }
+
   /**
    * Get all translation relationships for an entry
    */
@@ -357,7 +609,7 @@ export class ServerIncrementalTranslationService {
                 let relatedEntry = null;
                 try {
                   relatedEntry = await this.environment.getEntry(
-                    relatedEntryId
+                    parseTargetEntryId(relatedEntryId).entryId
                   );
                 } catch (error) {
                   console.warn(
@@ -446,7 +698,9 @@ export class ServerIncrementalTranslationService {
           const relatedEntryId = isSource ? targetId : sourceId;
 
           // Get entry details
-          const relatedEntry = await this.environment.getEntry(relatedEntryId);
+          const relatedEntry = await this.environment.getEntry(
+            parseTargetEntryId(relatedEntryId).entryId
+          );
 
           relationships.push({
             id: `${sourceId}_${targetId}`,
@@ -679,7 +933,10 @@ export class ServerIncrementalTranslationService {
     lastTranslatedVersion,
     translationContext,
     fieldHashes,
-    cloneMapping
+    cloneMapping,
+    assetHashes = {},
+    linkedReferences = {},
+    tagsHash = null
   ) {
     const relationshipData = {
       sourceEntryId,
@@ -688,6 +945,9 @@ export class ServerIncrementalTranslationService {
         lastTranslatedVersion,
         lastUpdated: new Date().toISOString(),
         createdAt: new Date().toISOString(), // Will be preserved by Contentful service if updating
+        assetHashes,
+        linkedReferences,
+        tagsHash,
       },
       translationContext,
       fieldHashes,
@@ -732,13 +992,18 @@ export class ServerIncrementalTranslationService {
   }
 
   /**
-   * Generate field hashes for change detection
+   * Generate field hashes for change detection; in-place locale translations
+   * only hash the source locale so writing the target locale is not a change
    */
-  generateFieldHashes(entry) {
+  generateFieldHashes(entry, sourceLocale) {
     const hashes = {};
 
     Object.keys(entry.fields || {}).forEach((fieldId) => {
-      const fieldValue = entry.fields[fieldId];
+      let fieldValue = entry.fields[fieldId];
+      if (sourceLocale) {
+        if (fieldValue?.[sourceLocale] === undefined) return;
+        fieldValue = { [sourceLocale]: fieldValue[sourceLocale] };
+      }
       if (this.isTranslatableField(fieldId, fieldValue)) {
         hashes[fieldId] = crypto
           .createHash('sha256')
@@ -859,7 +1124,15 @@ export class ServerIncrementalTranslationService {
     console.log(`🔤 Processing field change: ${fieldName} (${change.type})`);
 
     // Handle different types of field changes
-    if (change.type === 'enhanced-reference-field') {
+    if (change.type === 'asset') {
+      return await this.handleAssetChange(change, translationContext);
+    } else if (change.type === 'tags') {
+      return await this.handleTagChange(
+        targetEntry,
+        change,
+        translationContext
+      );
+    } else if (change.type === 'enhanced-reference-field') {
       // Handle reference field changes (child entry modifications)
       return await this.handleReferenceFieldChange(
         targetEntry,
@@ -876,6 +1149,39 @@ export class ServerIncrementalTranslationService {
     }
   }
 
+  /**
+   * Replace the tags and taxonomy concepts of the target entry with the
+   * mapped ones of the source entry
+   */
+  async handleTagChange(targetEntry, change, translationContext) {
+    const metadata = await this.tagMapping.mapMetadata(
+      change.newValue,
+      translationContext.targetLanguage
+    );
+    if (!metadata) {
+      console.log('⏭️ Tag copying is disabled - target tags left as they are');
+      return;
+    }
+
+    targetEntry.metadata = { ...targetEntry.metadata, ...metadata };
+    console.log(
+      `🏷️ Updated target tags: ${
+        metadata.tags.map((tag) => tag.sys.id).join(', ') || '(none)'
+      }`
+    );
+  }
+
+  /**
+   * Hash of the source entry's tags for the relationship, or null when tags
+   * are not tracked (tag copying disabled, or in-place locale translations)
+   */
+  getTagsHash(sourceEntry, translationContext) {
+    if (!this.tagMapping.enabled || translationContext?.targetLocale) {
+      return null;
+    }
+    return this.changeDetectionService.generateTagsHash(sourceEntry);
+  }
+
   /**
    * Handle basic text field translation
    */
@@ -885,8 +1191,10 @@ export class ServerIncrementalTranslationService {
 
     console.log(`🔤 Translating text field: ${fieldName}`);
 
-    // Extract text from Contentful field structure
-    const sourceLocaleKey = 'en-US-POSIX';
+    // Extract text from Contentful field structure; in-place locale
+    // translations read the source locale and write the target locale
+    const sourceLocaleKey = translationContext.sourceLocale || 'en-US-POSIX';
+    const targetLocaleKey = translationContext.targetLocale || sourceLocaleKey;
     let textToTranslate;
 
     if (typeof newValue === 'object' && newValue !== null) {
@@ -894,7 +1202,21 @@ export class ServerIncrementalTranslationService {
       textToTranslate =
         newValue[sourceLocaleKey] || newValue[Object.keys(newValue)[0]];
 
-      // Handle nested object structures (e.g., rich text, arrays)
+      // Rich Text documents are translated node by node
+      if (RichTextTranslator.isRichTextDocument(textToTranslate)) {
+        if (!targetEntry.fields[fieldName]) {
+          targetEntry.fields[fieldName] = {};
+        }
+        targetEntry.fields[fieldName][targetLocaleKey] =
+          await this.rewriteLinks(
+            await this.translateRichText(textToTranslate, translationContext),
+            { entryId: targetEntry.sys.id, fieldId: fieldName }
+          );
+        console.log(`✅ Updated rich text field ${fieldName}`);
+        return;
+      }
+
+      // Handle nested object structures (e.g., arrays)
       if (typeof textToTranslate === 'object') {
         console.log(
           `⚠️ Complex field structure not supported for translation: ${fieldName}`
@@ -921,10 +1243,22 @@ export class ServerIncrementalTranslationService {
       return;
     }
 
-    // Translate the text
-    const translatedText = await this.translateText(
-      textToTranslate,
-      translationContext
+    // Translate the text; markdown fields only have their text nodes translated
+    const markdown = this.isMarkdownField(
+      targetEntry.sys.contentType.sys.id,
+      fieldName
+    );
+    const translatedText = await this.enforceFieldValidations(
+      targetEntry,
+      fieldName,
+      targetLocaleKey,
+      await this.rewriteLinks(
+        markdown
+          ? await this.translateMarkdown(textToTranslate, translationContext)
+          : await this.translateText(textToTranslate, translationContext),
+        { entryId: targetEntry.sys.id, fieldId: fieldName, markdown }
+      ),
+      { sourceValue: textToTranslate, translationContext, markdown }
     );
 
     // Update the target entry field
@@ -932,11 +1266,213 @@ export class ServerIncrementalTranslationService {
       targetEntry.fields[fieldName] = {};
     }
 
-    targetEntry.fields[fieldName][sourceLocaleKey] = translatedText;
+    targetEntry.fields[fieldName][targetLocaleKey] = translatedText;
 
     console.log(
       `✅ Updated field ${fieldName}: "${translatedText.substring(0, 50)}..."`
     );
+
+    // Optionally follow title changes with a regenerated slug
+    const slugRules = this.fieldRules.slug;
+    if (
+      slugRules?.enabled &&
+      slugRules.updateOnTitleChange &&
+      fieldName === slugRules.sourceField
+    ) {
+      await this.regenerateSlug(
+        targetEntry,
+        translatedText,
+        translationContext,
+        targetLocaleKey
+      );
+    }
+  }
+
+  /**
+   * Fit a translated value to the size, regexp and unique validations of its
+   * field in the entry's content type. New entries pass `entryId: null`, so
+   * no existing entry is exempt from the unique check
+   */
+  async enforceFieldValidations(
+    entry,
+    fieldName,
+    locale,
+    value,
+    { sourceValue, translationContext, markdown, entryId = entry.sys.id }
+  ) {
+    const contentTypeId = entry.sys.contentType.sys.id;
+    const fieldDef = (await this.getContentType(contentTypeId)).fields.find(
+      (field) => field.id === fieldName
+    );
+    if (!fieldDef) {
+      return value;
+    }
+
+    return await this.fieldValidation.enforce(value, fieldDef, {
+      entryId,
+      contentTypeId,
+      locale,
+      sourceValue,
+      truncatable: !markdown,
+      retranslate:
+        !markdown && typeof sourceValue === 'string'
+          ? (maxLength) =>
+              this.translateText(
+                sourceValue,
+                translationContext,
+                FieldValidationService.getShorterOptions(maxLength),
+                { bypassMemory: true }
+              )
+          : null,
+    });
+  }
+
+  /**
+   * Get a content type of the environment, cached for the service's lifetime
+   */
+  async getContentType(contentTypeId) {
+    if (!this.contentTypeCache.has(contentTypeId)) {
+      this.contentTypeCache.set(
+        contentTypeId,
+        await this.targetEnvironment.getContentType(contentTypeId)
+      );
+    }
+    return this.contentTypeCache.get(contentTypeId);
+  }
+
+  /**
+   * Regenerate the slug of a target entry from its new translated title
+   */
+  async regenerateSlug(targetEntry, title, translationContext, locale) {
+    const { slugField, uniqueWithin = [] } = this.fieldRules.slug;
+    const contentTypeId = targetEntry.sys.contentType.sys.id;
+
+    try {
+      const contentType = await this.getContentType(contentTypeId);
+      const fieldIds = contentType.fields.map((field) => field.id);
+      if (!fieldIds.includes(slugField)) {
+        return;
+      }
+
+      const slug = await new SlugService(
+        this.targetEnvironment
+      ).generateUniqueSlug({
+        text: title,
+        language: translationContext.targetLanguage,
+        contentTypeId,
+        slugField,
+        locale,
+        scope: Object.fromEntries(
+          uniqueWithin
+            .filter((fieldId) => fieldIds.includes(fieldId))
+            .map((fieldId) => [fieldId, targetEntry.fields[fieldId]?.[locale]])
+        ),
+        excludeEntryId: targetEntry.sys.id,
+      });
+
+      if (slug) {
+        targetEntry.fields[slugField] = {
+          ...(targetEntry.fields[slugField] || {}),
+          [locale]: slug,
+        };
+        console.log(`🔗 Regenerated slug for ${targetEntry.sys.id}: ${slug}`);
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ Slug regeneration failed for ${targetEntry.sys.id}, keeping the current slug: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Re-translate the title and description of a cloned asset
+   */
+  async handleAssetChange(change, translationContext) {
+    console.log(
+      `🖼️ Translating cloned asset: ${change.sourceAssetId} → ${change.targetAssetId}`
+    );
+
+    const sourceAsset = await this.environment.getAsset(change.sourceAssetId);
+    const targetAsset = await this.targetEnvironment.getAsset(
+      change.targetAssetId
+    );
+
+    for (const fieldId of ['title', 'description']) {
+      const fieldValue = sourceAsset.fields[fieldId];
+      if (fieldValue) {
+        targetAsset.fields[fieldId] = await this.translateFieldValue(
+          fieldValue,
+          translationContext
+        );
+      }
+    }
+
+    await targetAsset.update();
+    console.log(`✅ Updated cloned asset ${change.targetAssetId}`);
+  }
+
+  /**
+   * Detect title/description changes in source assets that were cloned for the target
+   */
+  async detectClonedAssetChanges(relationship) {
+    const changes = [];
+    const storedHashes = relationship.metadata?.assetHashes || {};
+    const currentHashes = await this.generateAssetHashes(
+      relationship.cloneMapping
+    );
+
+    for (const [assetKey, currentHash] of Object.entries(currentHashes)) {
+      const storedHash = storedHashes[assetKey];
+
+      if (storedHash !== currentHash) {
+        changes.push({
+          fieldName: assetKey,
+          type: 'asset',
+          changeType: storedHash ? 'modified' : 'added',
+          sourceAssetId: assetKey.slice('Asset:'.length),
+          targetAssetId: relationship.cloneMapping[assetKey],
+          isTranslatable: true,
+          needsTranslation: true,
+        });
+        console.log(`🖼️ Cloned asset changed: ${assetKey}`);
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Hash the translatable fields of every source asset that has a cloned copy
+   */
+  async generateAssetHashes(cloneMapping) {
+    const hashes = {};
+
+    for (const [key, targetId] of Object.entries(cloneMapping || {})) {
+      if (!key.startsWith('Asset:')) continue;
+
+      const sourceAssetId = key.slice('Asset:'.length);
+      // Reused assets map to themselves - only cloned copies need tracking
+      if (sourceAssetId === targetId) continue;
+
+      try {
+        const asset = await this.environment.getAsset(sourceAssetId);
+        hashes[key] = crypto
+          .createHash('sha256')
+          .update(
+            JSON.stringify({
+              title: asset.fields.title,
+              description: asset.fields.description,
+            })
+          )
+          .digest('hex');
+      } catch (error) {
+        console.warn(
+          `⚠️ Could not fetch source asset ${sourceAssetId}: ${error.message}`
+        );
+      }
+    }
+
+    return hashes;
   }
 
   /**
@@ -972,7 +1508,8 @@ export class ServerIncrementalTranslationService {
       try {
         const success = await this.translateChildEntry(
           deepChange,
-          translationContext
+          translationContext,
+          fieldName
         );
         if (success) {
           updatedChildEntries++;
@@ -999,7 +1536,7 @@ export class ServerIncrementalTranslationService {
   /**
    * Translate a child entry that was referenced and changed
    */
-  async translateChildEntry(deepChange, translationContext) {
+  async translateChildEntry(deepChange, translationContext, fieldName) {
     console.log(
       `🔄 Translating child entry: ${deepChange.id} (${deepChange.changeType})`
     );
@@ -1023,16 +1560,62 @@ export class ServerIncrementalTranslationService {
     const sourceKey = `Entry:${deepChange.id}`;
     let targetChildEntryId = relationship.cloneMapping[sourceKey];
 
+    // Shared and looked-up entries are not owned by this translation
+    const linkedMode = relationship.metadata?.linkedReferences?.[sourceKey];
+    if (linkedMode) {
+      console.log(
+        `⏭️ Skipping ${linkedMode} reference ${deepChange.id} - not owned by this translation`
+      );
+      return false;
+    }
+
+    // New references follow the reference policy of their content type
+    if (!targetChildEntryId && !relationship.translationContext?.targetLocale) {
+      const reference = await this.referencePolicies.resolve(
+        sourceChildEntry,
+        fieldName,
+        this.getCultureValueFromTargetLanguage(
+          relationship.translationContext?.targetLanguage
+        )
+      );
+
+      if (reference.mode === 'drop') {
+        console.log(
+          `⏭️ Dropping new reference ${deepChange.id} (reference policy)`
+        );
+        return false;
+      }
+
+      if (reference.targetId) {
+        await this.recordLinkedReference(
+          relationship,
+          sourceKey,
+          reference.targetId,
+          reference.mode
+        );
+        console.log(
+          `🔗 Linked new reference ${deepChange.id} → ${reference.targetId} (${reference.mode})`
+        );
+        return false;
+      }
+    }
+
     if (!targetChildEntryId) {
-      // New reference detected - need to clone it
+      // New reference detected - need to clone (or localize) it
       console.log(
         `🆕 New reference detected: ${deepChange.id} - cloning to target...`
       );
 
-      targetChildEntryId = await this.cloneNewReference(
-        deepChange.id,
-        relationship.translationContext
-      );
+      targetChildEntryId = relationship.translationContext?.targetLocale
+        ? await this.localizeNewReference(
+            deepChange.id,
+            relationship.translationContext,
+            Object.values(relationship.cloneMapping || {})
+          )
+        : await this.cloneNewReference(
+            deepChange.id,
+            relationship.translationContext
+          );
 
       if (!targetChildEntryId) {
         console.error(`❌ Failed to clone new reference ${deepChange.id}`);
@@ -1055,37 +1638,52 @@ export class ServerIncrementalTranslationService {
     console.log(`🎯 Mapping: ${deepChange.id} → ${targetChildEntryId}`);
 
     // Get the target child entry
-    const targetChildEntry = await this.environment.getEntry(
+    const targetChildEntry = await this.targetEnvironment.getEntry(
       targetChildEntryId
     );
 
-    // Translate changed fields in the child entry
+    // Translate changed fields in the child entry concurrently so their
+    // segments share batched DeepL requests. Rich Text fields go one at a
+    // time first: remapping their embeds may clone entries and update the mapping
     let fieldsUpdated = 0;
-    for (const fieldChange of deepChange.fieldChanges || []) {
+    const translateFieldChange = async (fieldChange) => {
       // Only translate fields that need translation
-      if (fieldChange.needsTranslation && fieldChange.isTranslatable) {
-        try {
-          await this.handleBasicFieldChange(
-            targetChildEntry,
-            fieldChange,
-            translationContext
-          );
-          fieldsUpdated++;
-          console.log(
-            `✅ Translated field ${fieldChange.fieldName} in child entry ${deepChange.id}`
-          );
-        } catch (error) {
-          console.error(
-            `❌ Error translating field ${fieldChange.fieldName} in child entry:`,
-            error.message
-          );
-        }
-      } else {
+      if (!fieldChange.needsTranslation || !fieldChange.isTranslatable) {
         console.log(
           `⏭️ Skipping non-translatable field ${fieldChange.fieldName} in child entry ${deepChange.id}`
         );
+        return;
+      }
+
+      try {
+        await this.handleBasicFieldChange(
+          targetChildEntry,
+          fieldChange,
+          translationContext
+        );
+        fieldsUpdated++;
+        console.log(
+          `✅ Translated field ${fieldChange.fieldName} in child entry ${deepChange.id}`
+        );
+      } catch (error) {
+        console.error(
+          `❌ Error translating field ${fieldChange.fieldName} in child entry:`,
+          error.message
+        );
+      }
+    };
+
+    const fieldChanges = deepChange.fieldChanges || [];
+    for (const fieldChange of fieldChanges) {
+      if (this.hasRichTextValue(fieldChange.newValue)) {
+        await translateFieldChange(fieldChange);
       }
     }
+    await Promise.all(
+      fieldChanges
+        .filter((fieldChange) => !this.hasRichTextValue(fieldChange.newValue))
+        .map(translateFieldChange)
+    );
 
     // Update the target child entry in Contentful
     if (fieldsUpdated > 0) {
@@ -1151,14 +1749,27 @@ export class ServerIncrementalTranslationService {
             });
           } else {
             console.warn(
-              `⚠️ No mapping found for reference ${sourceRef.sys.id}`
+              `⚠️ No mapping found for reference ${sourceRef.sys.id} - left out (dropped by policy or failed to clone)`
             );
           }
         }
       }
 
       // Update the target entry's field with the mapped references (including empty arrays for complete removal)
-      const locale = Object.keys(sourceFieldValue)[0] || 'en-US-POSIX';
+      let locale = Object.keys(sourceFieldValue)[0] || 'en-US-POSIX';
+
+      // In-place locale translations share the source entry's links - only a
+      // localized reference field has a target locale slot to update
+      const { targetLocale } = relationship.translationContext || {};
+      if (targetLocale) {
+        if (!sourceFieldValue[targetLocale]) {
+          console.log(
+            `ℹ️ Reference field ${fieldName} is not localized - links are shared`
+          );
+          return;
+        }
+        locale = targetLocale;
+      }
 
       if (!targetEntry.fields[fieldName]) {
         targetEntry.fields[fieldName] = {};
@@ -1230,15 +1841,42 @@ export class ServerIncrementalTranslationService {
       );
 
       // Create a new entry by copying the source entry
-      const newEntry = await this.environment.createEntry(
-        sourceEntry.sys.contentType.sys.id,
-        {
-          fields: await this.translateEntryFields(
-            sourceEntry.fields,
-            translationContext
-          ),
+      const contentTypeId = sourceEntry.sys.contentType.sys.id;
+      const fields = await this.translateEntryFields(
+        sourceEntry.fields,
+        translationContext,
+        contentTypeId
+      );
+      for (const [fieldName, fieldValue] of Object.entries(fields)) {
+        const markdown = this.isMarkdownField(contentTypeId, fieldName);
+        for (const [locale, value] of Object.entries(fieldValue || {})) {
+          fieldValue[locale] = await this.rewriteLinks(value, {
+            entryId: sourceEntryId,
+            fieldId: fieldName,
+            markdown,
+          });
+
+          // Only translated values are checked against the field validations
+          const sourceValue = sourceEntry.fields[fieldName]?.[locale];
+          if (fieldValue[locale] !== sourceValue) {
+            fieldValue[locale] = await this.enforceFieldValidations(
+              sourceEntry,
+              fieldName,
+              locale,
+              fieldValue[locale],
+              { sourceValue, translationContext, markdown, entryId: null }
+            );
+          }
         }
+      }
+      const metadata = await this.tagMapping.mapMetadata(
+        sourceEntry.metadata,
+        translationContext.targetLanguage
       );
+      const newEntry = await this.targetEnvironment.createEntry(contentTypeId, {
+        fields,
+        ...(metadata ? { metadata } : {}),
+      });
 
       // Leave the new entry as draft - editors can publish when ready
       console.log(`✅ Created new cloned entry as draft: ${newEntry.sys.id}`);
@@ -1252,10 +1890,69 @@ export class ServerIncrementalTranslationService {
     }
   }
 
+  /**
+   * Translate a newly referenced entry into the target locale slot (in-place
+   * locale mode). The clone service localizes it, and the entries it links,
+   * exactly like the initial localization did; entries the relationship
+   * already tracks keep their translations
+   * @param {string[]} trackedEntryIds - Entry IDs of the relationship's clone mapping
+   */
+  async localizeNewReference(entryId, translationContext, trackedEntryIds) {
+    try {
+      const localizer = new ServerContentfulCloneService(
+        this.cma,
+        this.deeplApiKey
+      );
+      const result = await localizer.localizeEntry({
+        sourceEntryId: entryId,
+        spaceId: this.spaceId,
+        environmentId: this.environmentId,
+        sourceLanguage: translationContext.sourceLanguage,
+        sourceLocale: translationContext.sourceLocale,
+        targetLanguage: translationContext.targetLanguage,
+        targetLocale: translationContext.targetLocale,
+        glossaryId: translationContext.glossaryId,
+        translationProfile: translationContext.translationProfile,
+        skipEntryIds: trackedEntryIds,
+      });
+
+      console.log(
+        `✅ Localized new reference ${entryId} → ${result.targetLocale} (${result.localizedEntries.length} entries)`
+      );
+      return entryId;
+    } catch (error) {
+      console.error(
+        `❌ Error localizing new reference ${entryId}:`,
+        error.message
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Map a source reference to a shared or looked-up entry and remember that
+   * the target is not owned by this translation
+   */
+  async recordLinkedReference(relationship, key, targetId, mode) {
+    relationship.cloneMapping[key] = targetId;
+    const linkedReferences = {
+      ...(relationship.metadata?.linkedReferences || {}),
+      [key]: mode,
+    };
+    relationship.metadata = { ...relationship.metadata, linkedReferences };
+
+    await this.updateCloneMapping(
+      this.currentSourceEntryId,
+      this.currentTargetEntryId,
+      relationship.cloneMapping,
+      linkedReferences
+    );
+  }
+
   /**
    * Translate entry fields for cloning
    */
-  async translateEntryFields(sourceFields, translationContext) {
+  async translateEntryFields(sourceFields, translationContext, contentTypeId) {
     const translatedFields = {};
 
     console.log(
@@ -1269,7 +1966,7 @@ export class ServerIncrementalTranslationService {
     for (const [fieldName, fieldValue] of Object.entries(sourceFields)) {
       console.log(`🔍 DEBUG - Processing field: ${fieldName}`, fieldValue);
 
-      if (fieldName === 'culture') {
+      if (this.isCultureField(fieldName)) {
         // Special handling for culture field - set it to target locale (not translated)
         const locale = Object.keys(fieldValue)[0] || 'en-US-POSIX';
         console.log(
@@ -1300,30 +1997,45 @@ export class ServerIncrementalTranslationService {
           translatedFields[fieldName]
         );
       } else if (this.isTranslatableField(fieldName, fieldValue)) {
-        // Translate text fields
-        translatedFields[fieldName] = await this.translateFieldValue(
+        // Queue text fields; they are awaited together below. Rich Text goes
+        // one field at a time - remapping embeds may clone entries
+        const translatedValue = this.translateFieldValue(
           fieldValue,
-          translationContext
+          translationContext,
+          { markdown: this.isMarkdownField(contentTypeId, fieldName) }
         );
+        translatedFields[fieldName] = this.hasRichTextValue(fieldValue)
+          ? await translatedValue
+          : translatedValue;
       } else {
         // Copy non-translatable fields as-is (references, etc.)
         translatedFields[fieldName] = fieldValue;
       }
     }
 
+    // Await all field translations at once so they share batched DeepL requests
+    for (const [fieldName, fieldValue] of Object.entries(translatedFields)) {
+      translatedFields[fieldName] = await fieldValue;
+    }
+
     return translatedFields;
   }
 
   /**
-   * Translate a field value structure
+   * Translate a field value structure; with `options.markdown` strings are
+   * translated as markdown
    */
-  async translateFieldValue(fieldValue, translationContext) {
+  async translateFieldValue(fieldValue, translationContext, options = {}) {
     const translatedValue = {};
 
     for (const [locale, content] of Object.entries(fieldValue)) {
       if (typeof content === 'string' && content.trim().length > 0) {
         // Translate string content
-        translatedValue[locale] = await this.translateText(
+        translatedValue[locale] = options.markdown
+          ? await this.translateMarkdown(content, translationContext)
+          : await this.translateText(content, translationContext);
+      } else if (RichTextTranslator.isRichTextDocument(content)) {
+        translatedValue[locale] = await this.translateRichText(
           content,
           translationContext
         );
@@ -1336,10 +2048,105 @@ export class ServerIncrementalTranslationService {
     return translatedValue;
   }
 
+  /**
+   * Set the DeepL glossary used for future updates of a relationship (null to remove it)
+   */
+  async setRelationshipGlossary(sourceEntryId, targetEntryId, glossaryId) {
+    return await this.updateTranslationContext(
+      sourceEntryId,
+      targetEntryId,
+      { glossaryId: glossaryId || null },
+      `📖 Set glossary ${glossaryId}`
+    );
+  }
+
+  /**
+   * Set the translation profile used for future updates of a relationship
+   * (null to fall back to the profile of its target language)
+   */
+  async setRelationshipProfile(sourceEntryId, targetEntryId, profileName) {
+    const relationship = await this.getRelationship(
+      sourceEntryId,
+      targetEntryId
+    );
+    if (!relationship) {
+      throw new Error('No translation relationship found');
+    }
+
+    // Unknown profile names are rejected before anything is stored
+    new TranslationProfileService(this.fieldRules).resolve(
+      relationship.translationContext?.targetLanguage,
+      profileName
+    );
+
+    return await this.updateTranslationContext(
+      sourceEntryId,
+      targetEntryId,
+      { translationProfile: profileName || null },
+      `🎚️ Set translation profile ${profileName}`
+    );
+  }
+
+  /**
+   * Merge changes into a relationship's translation context and store it in
+   * Contentful, falling back to the relationship file
+   */
+  async updateTranslationContext(
+    sourceEntryId,
+    targetEntryId,
+    changes,
+    logMessage
+  ) {
+    const relationship = await this.getRelationship(
+      sourceEntryId,
+      targetEntryId
+    );
+    if (!relationship) {
+      throw new Error('No translation relationship found');
+    }
+
+    relationship.translationContext = {
+      ...relationship.translationContext,
+      ...changes,
+    };
+
+    if (this.contentfulMetadataService) {
+      try {
+        await this.contentfulMetadataService.storeRelationshipMetadata(
+          sourceEntryId,
+          targetEntryId,
+          relationship
+        );
+        console.log(
+          `${logMessage} for ${sourceEntryId}_${targetEntryId} in Contentful`
+        );
+        return relationship.translationContext;
+      } catch (error) {
+        console.warn(
+          `⚠️ Failed to store translation context in Contentful, falling back to file: ${error.message}`
+        );
+      }
+    }
+
+    const filename = `${sourceEntryId}_${targetEntryId}.json`;
+    writeFileSync(
+      join(this.trackingDir, filename),
+      JSON.stringify(relationship, null, 2),
+      'utf8'
+    );
+    console.log(`${logMessage} for ${sourceEntryId}_${targetEntryId}`);
+    return relationship.translationContext;
+  }
+
   /**
    * Update the clone mapping in the relationship file
    */
-  async updateCloneMapping(sourceEntryId, targetEntryId, updatedCloneMapping) {
+  async updateCloneMapping(
+    sourceEntryId,
+    targetEntryId,
+    updatedCloneMapping,
+    linkedReferences
+  ) {
     try {
       const relationship = await this.getRelationship(
         sourceEntryId,
@@ -1351,6 +2158,9 @@ export class ServerIncrementalTranslationService {
 
       // Update the clone mapping
       relationship.cloneMapping = updatedCloneMapping;
+      if (linkedReferences) {
+        relationship.metadata = { ...relationship.metadata, linkedReferences };
+      }
 
       // Store in Contentful first
       if (this.contentfulMetadataService) {
@@ -1380,24 +2190,51 @@ export class ServerIncrementalTranslationService {
   }
 
   /**
-   * Translate text using DeepL
+   * Translate text with the configured provider (DeepL by default)
    */
-  async translateText(text, translationContext) {
-    if (!this.deeplApiKey || !text.trim()) {
+  async translateText(
+    text,
+    translationContext,
+    deeplOptions = {},
+    { bypassMemory = false } = {}
+  ) {
+    if (!text.trim()) {
       return text;
     }
 
     try {
-      const deepl = await import('deepl-node');
-      const translator = new deepl.Translator(this.deeplApiKey);
-
-      const sourceLanguage = translationContext.sourceLanguage || 'DE';
-      const targetLanguage = translationContext.targetLanguage || 'IT';
+      const sharedBatcher = await this.getBatcher();
+      if (!sharedBatcher) {
+        return text;
+      }
+      // Shorter re-translations must not get the remembered translation back
+      const batcher = bypassMemory
+        ? FieldValidationService.createRetranslationBatcher(sharedBatcher)
+        : sharedBatcher;
+
+      // Relationships store markets; DeepL gets their codes from the registry
+      const source = translationContext.sourceLanguage || 'DE';
+      const target = translationContext.targetLanguage || 'IT';
+      const sourceLanguage =
+        localeRegistry.getDeepLSourceLanguage(source) || source;
+      const targetLanguage =
+        localeRegistry.getDeepLTargetLanguage(target) || target;
+      const glossary = await this.glossaryService.resolveGlossary(
+        translationContext.glossaryId,
+        targetLanguage
+      );
 
-      const result = await translator.translateText(
+      const result = await batcher.translate(
         text,
         sourceLanguage,
-        targetLanguage
+        targetLanguage,
+        TranslationProfileService.applyProfile(
+          this.getProfileOptions(translationContext),
+          {
+            ...deeplOptions,
+            ...GlossaryService.getGlossaryOptions(glossary, sourceLanguage),
+          }
+        )
       );
 
       return result.text;
@@ -1407,41 +2244,223 @@ export class ServerIncrementalTranslationService {
     }
   }
 
+  /**
+   * DeepL options of a relationship's translation profile, else of its target
+   * language's; a profile removed from the rules is skipped with a warning
+   */
+  getProfileOptions(translationContext) {
+    try {
+      return new TranslationProfileService(this.fieldRules).resolve(
+        translationContext.targetLanguage,
+        translationContext.translationProfile
+      ).options;
+    } catch (error) {
+      console.warn(`⚠️ ${error.message} - translating without a profile`);
+      return {};
+    }
+  }
+
+  /**
+   * Check whether a localized field value holds a Rich Text document
+   */
+  hasRichTextValue(fieldValue) {
+    return (
+      !!fieldValue &&
+      typeof fieldValue === 'object' &&
+      Object.values(fieldValue).some((value) =>
+        RichTextTranslator.isRichTextDocument(value)
+      )
+    );
+  }
+
+  /**
+   * Get the shared batcher; concurrent translations are sent as multi-text
+   * requests and remembered texts are served from the translation memory.
+   * Null when no provider is configured (DeepL without an API key)
+   */
+  async getBatcher() {
+    if (!this.batcher) {
+      const translator = createTranslationProvider({
+        deeplApiKey: this.deeplApiKey,
+      });
+      if (!translator) {
+        return null;
+      }
+      this.batcher = new TranslationBatcher(translator, {
+        memory: translationMemoryService,
+        protector: this.protector,
+      });
+      this.glossaryService = new GlossaryService(translator);
+    }
+    return this.batcher;
+  }
+
+  /**
+   * Translate a Rich Text document, remapping embedded links through the clone mapping
+   */
+  async translateRichText(document, translationContext) {
+    const richTextTranslator = new RichTextTranslator({
+      translateSegment: (xml, context) =>
+        this.translateText(xml, translationContext, {
+          tagHandling: 'xml',
+          ignoreTags: ['x'],
+          ...(context.heading ? { context: context.heading } : {}),
+        }),
+      remapLink: (link) => this.remapRichTextLink(link, translationContext),
+    });
+
+    return await richTextTranslator.translateDocument(document);
+  }
+
+  /**
+   * Translate markdown through its AST, so link targets, code, tables and
+   * formatting survive
+   */
+  async translateMarkdown(markdown, translationContext) {
+    const markdownTranslator = new MarkdownTranslator({
+      translateSegment: (xml, context) =>
+        this.translateText(xml, translationContext, {
+          tagHandling: 'xml',
+          ignoreTags: ['x'],
+          ...(context.heading ? { context: context.heading } : {}),
+        }),
+    });
+
+    try {
+      return await markdownTranslator.translateMarkdown(markdown);
+    } catch (error) {
+      console.warn(`⚠️ Markdown translation failed: ${error.message}`);
+      return markdown;
+    }
+  }
+
+  /**
+   * Link rewriter for a relationship's update; in-place locale translations
+   * stay on the same pages, so they get none
+   */
+  createLinkRewriter(translationContext = {}) {
+    if (translationContext.targetLocale) {
+      return null;
+    }
+
+    const { sourceLanguage = '', targetLanguage = '' } = translationContext;
+    return new LinkRewriteService(this.fieldRules, this.environment, {
+      sourceCulture: this.getCultureValueFromTargetLanguage(sourceLanguage),
+      targetCulture: this.getCultureValueFromTargetLanguage(targetLanguage),
+      targetLanguage,
+      findTreePage: (sourceEntryId) => this.findTreePage(sourceEntryId),
+      metadataService: this.contentfulMetadataService,
+      trackingDir: this.trackingDir,
+      targetEnvironment: this.targetEnvironment,
+      sourceLocation: {
+        spaceId: this.spaceId,
+        environmentId: this.environmentId,
+      },
+      destinationLocation: translationContext.destinationLocation,
+    });
+  }
+
+  /**
+   * Point the links of a translated field value at the target market
+   */
+  async rewriteLinks(value, location) {
+    if (!this.linkRewriter) {
+      return value;
+    }
+    return await this.linkRewriter.rewriteFieldValue(value, location);
+  }
+
+  /**
+   * Target of a page within the updated tree, from the relationship's clone mapping
+   */
+  async findTreePage(sourceEntryId) {
+    const relationship = await this.getRelationship(
+      this.currentSourceEntryId,
+      this.currentTargetEntryId
+    );
+    const targetId = relationship?.cloneMapping?.[`Entry:${sourceEntryId}`];
+    if (!targetId || targetId === sourceEntryId) {
+      return null;
+    }
+
+    try {
+      const entry = await this.targetEnvironment.getEntry(targetId);
+      return { id: entry.sys.id, fields: entry.fields };
+    } catch (error) {
+      console.warn(
+        `⚠️ Linked page ${targetId} is not accessible: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Map a Rich Text link to the target tree, cloning entries that are not mapped yet
+   */
+  async remapRichTextLink(link, translationContext) {
+    const { linkType, id } = link.sys;
+    const key = `${linkType}:${id}`;
+
+    // In-place locale translations keep every link as it is
+    if (translationContext.targetLocale) {
+      return link;
+    }
+
+    const relationship = await this.getRelationship(
+      this.currentSourceEntryId,
+      this.currentTargetEntryId
+    );
+    const cloneMapping = relationship?.cloneMapping || {};
+
+    if (cloneMapping[key]) {
+      return { sys: { type: 'Link', linkType, id: cloneMapping[key] } };
+    }
+
+    if (linkType !== 'Entry' || !relationship) {
+      return link;
+    }
+
+    // Shared and looked-up entries keep or swap the link without cloning;
+    // dropped embeds are removed from the document
+    const reference = await this.referencePolicies.resolve(
+      await this.environment.getEntry(id),
+      undefined,
+      this.getCultureValueFromTargetLanguage(translationContext.targetLanguage)
+    );
+    if (reference.mode === 'drop') {
+      return null;
+    }
+    if (reference.targetId) {
+      await this.recordLinkedReference(
+        relationship,
+        key,
+        reference.targetId,
+        reference.mode
+      );
+      return { sys: { type: 'Link', linkType, id: reference.targetId } };
+    }
+
+    console.log(`🆕 New embedded entry in rich text: ${id} - cloning...`);
+    const clonedId = await this.cloneNewReference(id, translationContext);
+    if (!clonedId) {
+      return link;
+    }
+
+    cloneMapping[key] = clonedId;
+    await this.updateCloneMapping(
+      this.currentSourceEntryId,
+      this.currentTargetEntryId,
+      cloneMapping
+    );
+    return { sys: { type: 'Link', linkType, id: clonedId } };
+  }
+
   /**
    * Check if a field is translatable
    */
   isTranslatableField(fieldName, fieldValue) {
-    // Skip system fields and non-translatable content
-    const nonTranslatableFields = [
-      'slug',
-      'sys_',
-      'internalName',
-      'id',
-      'contentfulMetadata',
-      'parentPage',
-      'authors',
-      'productionUrl',
-      'makeModel',
-      'publicationDate',
-      'lastModificationDate',
-      'makeIds',
-      'modelIds',
-      'trackingName',
-      'domain',
-      'pageType',
-      'metaIndexToggle',
-      'enableFeaturedArticle',
-      'showInGoogleNews',
-      'hasHighlightedText',
-      'isPrimary',
-      'spotlight',
-      'publishedCounter',
-      'fieldStatus',
-      'automationTags',
-      'culture', // Add culture to non-translatable fields
-    ];
-
-    if (nonTranslatableFields.some((field) => fieldName.startsWith(field))) {
+    // Fields the configured rules empty, copy as-is or treat as authors/culture
+    if (this.isRuleExcludedField(fieldName)) {
       return false;
     }
 
@@ -1449,10 +2468,46 @@ export class ServerIncrementalTranslationService {
       return false;
     }
 
-    // Check if field contains text content
+    // Check if field contains text content or a Rich Text document
     const values = Object.values(fieldValue);
     return values.some(
-      (value) => typeof value === 'string' && value.trim().length > 0
+      (value) =>
+        (typeof value === 'string' && value.trim().length > 0) ||
+        RichTextTranslator.isRichTextDocument(value)
+    );
+  }
+
+  /**
+   * Check if a field is a culture field according to the field rules
+   */
+  isCultureField(fieldName) {
+    return this.fieldRules.cultureFieldNames.some((cultureName) =>
+      fieldName.toLowerCase().includes(cultureName.toLowerCase())
+    );
+  }
+
+  /**
+   * Check if the field rules mark a field of a content type as markdown
+   */
+  isMarkdownField(contentTypeId, fieldName) {
+    const { markdownFields } = this.fieldRules;
+    return (
+      !!markdownFields?.enabled &&
+      !!markdownFields.fieldMappings[contentTypeId]?.includes(fieldName)
+    );
+  }
+
+  /**
+   * Check if the field rules exclude a field from translation
+   */
+  isRuleExcludedField(fieldName) {
+    const { emptyFields, copyAsIs, author } = this.fieldRules;
+
+    return (
+      this.isCultureField(fieldName) ||
+      (emptyFields.enabled && emptyFields.fieldIds.includes(fieldName)) ||
+      (copyAsIs.enabled && copyAsIs.fieldIds.includes(fieldName)) ||
+      (author.enabled && author.fieldIds.includes(fieldName))
     );
   }
 
@@ -1483,17 +2538,35 @@ export class ServerIncrementalTranslationService {
       targetLanguage,
       spaceId,
       environmentId,
+      destinationSpaceId = spaceId,
+      destinationEnvironmentId = environmentId,
       cloneMapping = {},
+      linkedReferences = {},
+      sourceLocale,
+      targetLocale,
+      glossaryId = null,
+      translationProfile = null,
     } = options;
 
     try {
       // Initialize space and environment
       await this.initialize(spaceId, environmentId);
 
+      // Both locations are recorded, so updates find target entries that
+      // were cloned into another space or environment
+      const sourceLocation = { spaceId, environmentId };
+      const destinationLocation = {
+        spaceId: destinationSpaceId,
+        environmentId: destinationEnvironmentId,
+      };
+      await this.useDestination({ destinationLocation });
+
       // Get both entries to get current versions
       const [sourceEntry, targetEntry] = await Promise.all([
         this.environment.getEntry(sourceEntryId),
-        this.environment.getEntry(targetEntryId),
+        this.targetEnvironment.getEntry(
+          parseTargetEntryId(targetEntryId).entryId
+        ),
       ]);
 
       // Create metadata structure that matches expected format
@@ -1504,12 +2577,22 @@ export class ServerIncrementalTranslationService {
           lastTranslatedVersion: sourceEntry.sys.version,
           lastUpdated: new Date().toISOString(),
           createdAt: new Date().toISOString(),
+          assetHashes: await this.generateAssetHashes(cloneMapping),
+          linkedReferences,
+          tagsHash: this.getTagsHash(sourceEntry, { targetLocale }),
         },
         translationContext: {
           sourceLanguage,
           targetLanguage,
+          glossaryId,
+          translationProfile,
+          sourceLocation,
+          destinationLocation,
+          ...(targetLocale
+            ? { mode: 'locale', sourceLocale, targetLocale }
+            : {}),
         },
-        fieldHashes: this.generateFieldHashes(sourceEntry),
+        fieldHashes: this.generateFieldHashes(sourceEntry, sourceLocale),
         cloneMapping,
       };
 
@@ -1543,7 +2626,11 @@ export class ServerIncrementalTranslationService {
       );
 
       // Initialize deep reference tracking for the new translation pair
-      await this.initializeDeepReferenceTracking(sourceEntryId, targetEntryId);
+      await this.initializeDeepReferenceTracking(
+        sourceEntryId,
+        targetEntryId,
+        sourceLocale
+      );
 
       return relationshipData;
     } catch (error) {
@@ -1555,7 +2642,11 @@ export class ServerIncrementalTranslationService {
   /**
    * Initialize deep reference tracking for a new translation pair
    */
-  async initializeDeepReferenceTracking(sourceEntryId, targetEntryId) {
+  async initializeDeepReferenceTracking(
+    sourceEntryId,
+    targetEntryId,
+    sourceLocale
+  ) {
     try {
       console.log(
         `🔗 Initializing deep reference tracking for ${sourceEntryId} → ${targetEntryId}`
@@ -1565,6 +2656,7 @@ export class ServerIncrementalTranslationService {
       await this.initializeDeepTrackingAsync(this.environment, {
         maxDepth: 3,
         autoTranslateNewRefs: true,
+        sourceLocale,
       });
 
       // Build initial deep reference map
@@ -1607,6 +2699,7 @@ export class ServerIncrementalTranslationService {
           {
             maxDepth: options.maxDepth || 3,
             autoTranslateNewRefs: options.autoTranslateNewRefs !== false,
+            sourceLocale: options.sourceLocale,
           }
         );
 
@@ -1665,47 +2758,10 @@ export class ServerIncrementalTranslationService {
   }
 
   /**
-   * Convert DeepL language code to full locale code for culture field
+   * Culture field value of a market, e.g. 'IT' -> 'it-IT'; codes unknown to
+   * the locale registry are kept as they are
    */
   getCultureValueFromTargetLanguage(targetLanguage) {
-    const cultureMapping = {
-      EN: 'en-GB',
-      DE: 'de-DE',
-      BE: 'nl-BE',
-      FR: 'fr-FR',
-      IT: 'it-IT',
-      ES: 'es-ES',
-      NL: 'nl-NL',
-      PT: 'pt-PT',
-      RU: 'ru-RU',
-      BG: 'bg-BG',
-      CS: 'cs-CZ',
-      HR: 'hr-HR',
-      HU: 'hu-HU',
-      PL: 'pl-PL',
-      RO: 'ro-RO',
-      SV: 'sv-SE',
-      TR: 'tr-TR',
-      UK: 'uk-UA',
-      CA: 'en-CA',
-      'FR-CA': 'fr-CA',
-      'FR-BE': 'fr-BE',
-      'NL-BE': 'nl-BE',
-      'FR-LU': 'fr-LU',
-    };
-
-    console.log(
-      `🔍 DEBUG - getCultureValueFromTargetLanguage input: "${targetLanguage}"`
-    );
-    const result = cultureMapping[targetLanguage] || targetLanguage;
-    console.log(
-      `🔍 DEBUG - getCultureValueFromTargetLanguage output: "${result}"`
-    );
-    console.log(
-      `🔍 DEBUG - Culture mapping keys:`,
-      Object.keys(cultureMapping)
-    );
-
-    return result;
+    return localeRegistry.getCulture(targetLanguage) || targetLanguage;
   }
 }
@@ -0,0 +1,441 @@
+/**
+ * Link Rewrite Service
+ * Points links in translated content at the target market: URLs of the source
+ * market move to the target market's domain (from the `linkRewriting` domain
+ * table), and links to pages with a translation go to the translated page.
+ * Links that cannot be resolved are reported
+ */
+
+import { existsSync, readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { MarkdownTranslator } from './markdownTranslator.js';
+import { RichTextTranslator } from './richTextTranslator.js';
+
+const LOCALE = 'en-US-POSIX'; // Fixed storage locale of this space
+
+export class LinkRewriteService {
+  /**
+   * @param {object} rules - Field rules with the `linkRewriting`, `slug` and
+   *   `rootContentTypes` sections
+   * @param {object} environment - Contentful environment
+   * @param {object} context
+   * @param {string} context.sourceCulture - Culture of the source market, e.g. 'de-DE'
+   * @param {string} context.targetCulture - Culture of the target market
+   * @param {string} context.targetLanguage - Language whose translations links should point to
+   * @param {(sourceEntryId: string) => Promise<{ id: string, fields: object }|null>} [context.findTreePage]
+   *   Target of a page cloned within the same tree (clone run or `cloneMapping`)
+   * @param {object} [context.metadataService] - ContentfulMetadataService for translation relationships
+   * @param {string} [context.trackingDir] - Relationship files read when Contentful has none
+   * @param {object} [context.targetEnvironment] - Environment of the translated pages, if not `environment`
+   * @param {{ spaceId: string, environmentId: string }} [context.sourceLocation] - Location of `environment`
+   * @param {{ spaceId: string, environmentId: string }} [context.destinationLocation]
+   *   Location translations are written to; only relationships into it are followed
+   */
+  constructor(rules, environment, context) {
+    this.config = rules.linkRewriting || { enabled: false };
+    this.slugField = rules.slug?.slugField || 'slug';
+    this.cultureFields = Object.fromEntries(
+      Object.entries(rules.rootContentTypes || {}).map(
+        ([contentTypeId, rootConfig]) => [
+          contentTypeId,
+          rootConfig.cultureField,
+        ]
+      )
+    );
+    this.environment = environment;
+    this.targetEnvironment = context.targetEnvironment || environment;
+    this.context = context;
+    this.trackingDir =
+      context.trackingDir || join(process.cwd(), 'data', 'tracking');
+
+    this.sourceMarket = this.getMarket(context.sourceCulture);
+    this.targetMarket = this.getMarket(context.targetCulture);
+    this.pages = new Map(); // Maps a source page slug to its resolution
+    this.report = { rewritten: [], unresolved: [] };
+  }
+
+  /**
+   * Host and path prefix of a market from the domain table (null if missing)
+   */
+  getMarket(culture) {
+    const baseUrl = this.config.domains?.[culture];
+    if (!baseUrl) {
+      return null;
+    }
+
+    const url = new URL(baseUrl);
+    return {
+      culture,
+      baseUrl: `${url.origin}${url.pathname.replace(/\/+$/, '')}`,
+      host: url.host,
+      pathPrefix: url.pathname.replace(/\/+$/, ''),
+    };
+  }
+
+  isEnabled() {
+    return !!this.config.enabled;
+  }
+
+  /**
+   * Rewrite the links in a field value: markdown links and definitions,
+   * Rich Text hyperlinks and the whole value of configured URL fields
+   * @param {*} value - Localized field value
+   * @param {object} location
+   * @param {string} location.entryId - Source entry, used in the report
+   * @param {string} location.fieldId
+   * @param {boolean} [location.markdown] - Whether the field holds markdown
+   */
+  async rewriteFieldValue(value, location) {
+    if (!this.isEnabled()) {
+      return value;
+    }
+
+    if (typeof value === 'string') {
+      if (location.markdown) {
+        return await this.rewriteMarkdown(value, location);
+      }
+      if (this.config.urlFields?.includes(location.fieldId)) {
+        return await this.rewriteUrl(value, location);
+      }
+      return value;
+    }
+
+    if (Array.isArray(value) && location.markdown) {
+      const rewritten = [];
+      for (const item of value) {
+        rewritten.push(
+          typeof item === 'string'
+            ? await this.rewriteMarkdown(item, location)
+            : item
+        );
+      }
+      return rewritten;
+    }
+
+    if (RichTextTranslator.isRichTextDocument(value)) {
+      return await this.rewriteRichText(value, location);
+    }
+
+    return value;
+  }
+
+  /**
+   * Rewrite link and definition destinations in markdown, keeping everything
+   * else character for character
+   */
+  async rewriteMarkdown(markdown, location) {
+    if (!markdown.trim()) {
+      return markdown;
+    }
+
+    const linkNodes = [];
+    const collect = (node) => {
+      if (['link', 'definition'].includes(node.type)) {
+        linkNodes.push(node);
+      }
+      (node.children || []).forEach(collect);
+    };
+    collect(MarkdownTranslator.parse(markdown));
+
+    const replacements = [];
+    for (const node of linkNodes) {
+      const { start, end } = node.position;
+      const raw = markdown.slice(start.offset, end.offset);
+
+      // Literal autolinks (www.example.com) carry a normalized url
+      const url = raw.includes(node.url) ? node.url : raw;
+      const index = raw.lastIndexOf(url);
+      if (index === -1) continue;
+
+      const rewritten = await this.rewriteUrl(url, location);
+      if (rewritten !== url) {
+        replacements.push({
+          start: start.offset + index,
+          end: start.offset + index + url.length,
+          text: rewritten,
+        });
+      }
+    }
+
+    let result = markdown;
+    for (const { start, end, text } of replacements.reverse()) {
+      result = result.slice(0, start) + text + result.slice(end);
+    }
+    return result;
+  }
+
+  /**
+   * Rewrite the URIs of Rich Text hyperlinks in place
+   */
+  async rewriteRichText(document, location) {
+    const visit = async (node) => {
+      if (node.nodeType === 'hyperlink' && node.data?.uri) {
+        node.data.uri = await this.rewriteUrl(node.data.uri, location);
+      }
+      for (const child of node.content || []) {
+        await visit(child);
+      }
+    };
+    await visit(document);
+    return document;
+  }
+
+  /**
+   * Rewrite one URL of the source market: links to translated pages go to
+   * the translated page, everything else keeps its path on the target
+   * market's domain. Other URLs are returned unchanged
+   */
+  async rewriteUrl(url, location = {}) {
+    const match = this.matchSourceUrl(url.trim());
+    if (!match) {
+      return url;
+    }
+
+    const { scheme, relative, path, suffix } = match;
+    if (!relative && !this.targetMarket) {
+      this.reportUnresolved(
+        url,
+        `No domain configured for ${this.context.targetCulture}`,
+        location
+      );
+      return url;
+    }
+
+    let targetPath = path;
+    const segments = path.split('/').filter(Boolean);
+    if (segments.length > 0) {
+      const page = await this.resolvePage(segments.at(-1));
+
+      if (page.url) {
+        return this.reportRewritten(url, `${page.url}${suffix}`, location);
+      }
+      if (page.slug) {
+        targetPath = `/${[...segments.slice(0, -1), page.slug].join('/')}${
+          path.endsWith('/') ? '/' : ''
+        }`;
+      } else {
+        this.reportUnresolved(url, page.reason, location);
+      }
+    }
+
+    let base = this.targetMarket?.pathPrefix || '';
+    if (!relative) {
+      // Keep the form of the source URL: full, protocol-relative or bare host
+      base = scheme?.startsWith('http')
+        ? this.targetMarket.baseUrl
+        : `${scheme || ''}${this.targetMarket.host}${
+            this.targetMarket.pathPrefix
+          }`;
+    }
+    return this.reportRewritten(url, `${base}${targetPath}${suffix}`, location);
+  }
+
+  /**
+   * Split a URL of the source market into its path and query/hash; relative
+   * paths count as source market URLs. Null for any other URL
+   */
+  matchSourceUrl(url) {
+    let scheme = null;
+    let relative = false;
+    let rest;
+
+    if (url.startsWith('/') && !url.startsWith('//')) {
+      relative = true;
+      const prefix = this.sourceMarket?.pathPrefix;
+      rest =
+        prefix && new RegExp(`^${escapeRegExp(prefix)}(?=[/?#]|$)`).test(url)
+          ? url.slice(prefix.length)
+          : url;
+    } else {
+      if (!this.sourceMarket) {
+        return null;
+      }
+      const match = new RegExp(
+        `^((?:https?:)?//)?${escapeRegExp(
+          this.sourceMarket.host
+        )}${escapeRegExp(this.sourceMarket.pathPrefix)}(?=[/?#]|$)`,
+        'i'
+      ).exec(url);
+      if (!match) {
+        return null;
+      }
+      scheme = match[1] || null;
+      rest = url.slice(match[0].length);
+    }
+
+    const [, path, suffix] = /^([^?#]*)([\s\S]*)$/.exec(rest);
+    return { scheme, relative, path, suffix };
+  }
+
+  /**
+   * Resolve the source page a slug points to into its translation:
+   * { url } (the translated page's own URL), { slug } or { reason }
+   */
+  async resolvePage(slug) {
+    if (!this.pages.has(slug)) {
+      this.pages.set(slug, this.findTranslatedPage(slug));
+    }
+    return await this.pages.get(slug);
+  }
+
+  async findTranslatedPage(slug) {
+    const sourcePage = await this.findSourcePage(slug);
+    if (!sourcePage) {
+      return { reason: `No page with slug '${slug}' in the source market` };
+    }
+
+    const target =
+      (await this.context.findTreePage?.(sourcePage.sys.id)) ||
+      (await this.findRelationshipTarget(sourcePage.sys.id));
+    if (!target) {
+      return {
+        reason: `Page ${sourcePage.sys.id} has no ${this.context.targetLanguage} translation`,
+      };
+    }
+
+    const pageUrl =
+      this.config.pageUrlField &&
+      target.fields[this.config.pageUrlField]?.[LOCALE];
+    if (pageUrl) {
+      return { url: pageUrl };
+    }
+
+    const targetSlug = target.fields[this.slugField]?.[LOCALE];
+    if (targetSlug) {
+      return { slug: targetSlug };
+    }
+    return { reason: `Translated page ${target.id} has no slug` };
+  }
+
+  /**
+   * Find the source market page with a slug among the page content types
+   */
+  async findSourcePage(slug) {
+    for (const contentTypeId of this.config.pageContentTypes || []) {
+      const query = {
+        content_type: contentTypeId,
+        [`fields.${this.slugField}.${LOCALE}`]: slug,
+        limit: 1,
+      };
+      const cultureField = this.cultureFields[contentTypeId];
+      if (cultureField && this.context.sourceCulture) {
+        query[`fields.${cultureField}.${LOCALE}`] = this.context.sourceCulture;
+      }
+
+      try {
+        const entries = await this.environment.getEntries(query);
+        if (entries.items.length > 0) {
+          return entries.items[0];
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️ Page lookup for slug '${slug}' failed: ${error.message}`
+        );
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Target page of the newest translation relationship of a source page into
+   * the target language, from Contentful or the relationship files
+   */
+  async findRelationshipTarget(sourceEntryId) {
+    let relationships =
+      (await this.context.metadataService?.getRelationshipsForSourceEntry(
+        sourceEntryId
+      )) || [];
+
+    if (relationships.length === 0 && existsSync(this.trackingDir)) {
+      relationships = readdirSync(this.trackingDir)
+        .filter(
+          (file) =>
+            file.startsWith(`${sourceEntryId}_`) &&
+            file.endsWith('.json') &&
+            !file.includes('_deep_refs')
+        )
+        .map((file) => {
+          try {
+            return JSON.parse(
+              readFileSync(join(this.trackingDir, file), 'utf8')
+            );
+          } catch {
+            return null;
+          }
+        })
+        .filter(Boolean);
+    }
+
+    const relationship = relationships
+      .filter(
+        (candidate) =>
+          candidate.translationContext?.targetLanguage?.toLowerCase() ===
+            this.context.targetLanguage.toLowerCase() &&
+          // In-place locale translations are not separate pages
+          !candidate.translationContext.targetLocale &&
+          this.isDestination(candidate.translationContext.destinationLocation)
+      )
+      .sort((a, b) =>
+        String(a.metadata?.lastUpdated || '').localeCompare(
+          String(b.metadata?.lastUpdated || '')
+        )
+      )
+      .at(-1);
+    if (!relationship) {
+      return null;
+    }
+
+    try {
+      const entry = await this.targetEnvironment.getEntry(
+        relationship.targetEntryId
+      );
+      return { id: entry.sys.id, fields: entry.fields };
+    } catch (error) {
+      console.warn(
+        `⚠️ Translated page ${relationship.targetEntryId} is not accessible: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Whether a relationship's destination is the one translations are written
+   * to; relationships without one stayed in the source location
+   */
+  isDestination(location) {
+    const { sourceLocation, destinationLocation } = this.context;
+    const candidate = location || sourceLocation;
+    const expected = destinationLocation || sourceLocation;
+    return (
+      !candidate ||
+      !expected ||
+      (candidate.spaceId === expected.spaceId &&
+        candidate.environmentId === expected.environmentId)
+    );
+  }
+
+  reportRewritten(from, to, location) {
+    if (to !== from) {
+      this.report.rewritten.push({
+        entryId: location.entryId,
+        fieldId: location.fieldId,
+        from,
+        to,
+      });
+      console.log(`🔗 Rewrote link ${from} → ${to}`);
+    }
+    return to;
+  }
+
+  reportUnresolved(url, reason, location) {
+    this.report.unresolved.push({
+      entryId: location.entryId,
+      fieldId: location.fieldId,
+      url,
+      reason,
+    });
+    console.warn(`⚠️ Unresolved link ${url}: ${reason}`);
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
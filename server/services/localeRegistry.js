@@ -0,0 +1,237 @@
+/**
+ * Locale Registry
+ * Single source of locale knowledge for the clone, incremental and status
+ * flows: maps market identifiers (the target languages of requests, e.g.
+ * 'IT' or 'FR-BE') to their Contentful culture value and to the DeepL source
+ * and target codes, and is checked against the languages the translation
+ * provider supports
+ */
+
+// Every market the translator can target. `market` is the identifier used in
+// requests and relationships, `culture` the value of the culture fields, and
+// `aliases` are older identifiers that still resolve to the market
+export const MARKETS = [
+  { market: 'DE', culture: 'de-DE', deeplSource: 'DE', deeplTarget: 'DE' },
+  {
+    market: 'EN',
+    culture: 'en-GB',
+    deeplSource: 'EN',
+    deeplTarget: 'EN-GB',
+    aliases: ['EN-GB'],
+  },
+  {
+    market: 'EN-US',
+    culture: 'en-US',
+    deeplSource: 'EN',
+    deeplTarget: 'EN-US',
+  },
+  {
+    market: 'CA',
+    culture: 'en-CA',
+    deeplSource: 'EN',
+    deeplTarget: 'EN-US',
+    aliases: ['EN-CA'],
+  },
+  { market: 'FR', culture: 'fr-FR', deeplSource: 'FR', deeplTarget: 'FR' },
+  { market: 'FR-BE', culture: 'fr-BE', deeplSource: 'FR', deeplTarget: 'FR' },
+  { market: 'FR-CA', culture: 'fr-CA', deeplSource: 'FR', deeplTarget: 'FR' },
+  { market: 'FR-LU', culture: 'fr-LU', deeplSource: 'FR', deeplTarget: 'FR' },
+  { market: 'IT', culture: 'it-IT', deeplSource: 'IT', deeplTarget: 'IT' },
+  { market: 'ES', culture: 'es-ES', deeplSource: 'ES', deeplTarget: 'ES' },
+  { market: 'NL', culture: 'nl-NL', deeplSource: 'NL', deeplTarget: 'NL' },
+  {
+    market: 'NL-BE',
+    culture: 'nl-BE',
+    deeplSource: 'NL',
+    deeplTarget: 'NL',
+    aliases: ['BE'],
+  },
+  {
+    market: 'PT',
+    culture: 'pt-PT',
+    deeplSource: 'PT',
+    deeplTarget: 'PT-PT',
+    aliases: ['PT-PT'],
+  },
+  {
+    market: 'PT-BR',
+    culture: 'pt-BR',
+    deeplSource: 'PT',
+    deeplTarget: 'PT-BR',
+  },
+  { market: 'RU', culture: 'ru-RU', deeplSource: 'RU', deeplTarget: 'RU' },
+  { market: 'BG', culture: 'bg-BG', deeplSource: 'BG', deeplTarget: 'BG' },
+  { market: 'CS', culture: 'cs-CZ', deeplSource: 'CS', deeplTarget: 'CS' },
+  { market: 'HR', culture: 'hr-HR', deeplSource: 'HR', deeplTarget: 'HR' },
+  { market: 'HU', culture: 'hu-HU', deeplSource: 'HU', deeplTarget: 'HU' },
+  { market: 'PL', culture: 'pl-PL', deeplSource: 'PL', deeplTarget: 'PL' },
+  { market: 'RO', culture: 'ro-RO', deeplSource: 'RO', deeplTarget: 'RO' },
+  { market: 'SV', culture: 'sv-SE', deeplSource: 'SV', deeplTarget: 'SV' },
+  { market: 'TR', culture: 'tr-TR', deeplSource: 'TR', deeplTarget: 'TR' },
+  { market: 'UK', culture: 'uk-UA', deeplSource: 'UK', deeplTarget: 'UK' },
+  { market: 'DA', culture: 'da-DK', deeplSource: 'DA', deeplTarget: 'DA' },
+  { market: 'FI', culture: 'fi-FI', deeplSource: 'FI', deeplTarget: 'FI' },
+  {
+    market: 'NB',
+    culture: 'no-NO',
+    deeplSource: 'NB',
+    deeplTarget: 'NB',
+    aliases: ['NO'],
+  },
+  { market: 'ET', culture: 'et-EE', deeplSource: 'ET', deeplTarget: 'ET' },
+  { market: 'LV', culture: 'lv-LV', deeplSource: 'LV', deeplTarget: 'LV' },
+  { market: 'LT', culture: 'lt-LT', deeplSource: 'LT', deeplTarget: 'LT' },
+  { market: 'SK', culture: 'sk-SK', deeplSource: 'SK', deeplTarget: 'SK' },
+  { market: 'SL', culture: 'sl-SI', deeplSource: 'SL', deeplTarget: 'SL' },
+  { market: 'JA', culture: 'ja-JP', deeplSource: 'JA', deeplTarget: 'JA' },
+  { market: 'ZH', culture: 'zh-CN', deeplSource: 'ZH', deeplTarget: 'ZH' },
+];
+
+export class LocaleRegistry {
+  constructor(markets = MARKETS) {
+    this.markets = markets;
+    this.byCode = new Map(); // Maps upper-case market IDs and aliases to markets
+    this.byCulture = new Map(); // Maps lower-case culture values to markets
+    this.validation = null; // Result of the last validate() call
+
+    for (const entry of markets) {
+      for (const code of [entry.market, ...(entry.aliases || [])]) {
+        this.register(this.byCode, code.toUpperCase(), entry);
+      }
+      this.register(this.byCulture, entry.culture.toLowerCase(), entry);
+    }
+  }
+
+  /**
+   * Add a lookup key, refusing keys claimed by two markets
+   */
+  register(lookup, key, entry) {
+    if (lookup.has(key) && lookup.get(key) !== entry) {
+      throw new Error(
+        `Locale registry: '${key}' is used by both ${
+          lookup.get(key).market
+        } and ${entry.market}`
+      );
+    }
+    lookup.set(key, entry);
+  }
+
+  /**
+   * Find a market by identifier, alias or culture value, in any case
+   * ('it', 'IT', 'it-IT', 'nl_BE', 'BE'). Null if unknown
+   */
+  getMarket(code) {
+    if (!code) {
+      return null;
+    }
+
+    const normalized = String(code).trim().replace(/_/g, '-');
+    return (
+      this.byCode.get(normalized.toUpperCase()) ||
+      this.byCulture.get(normalized.toLowerCase()) ||
+      null
+    );
+  }
+
+  /**
+   * Contentful culture value of a market, e.g. 'IT' -> 'it-IT'. Null if unknown
+   */
+  getCulture(code) {
+    return this.getMarket(code)?.culture || null;
+  }
+
+  /**
+   * DeepL source code of a market or culture, e.g. 'en-GB' -> 'EN'. Null if unknown
+   */
+  getDeepLSourceLanguage(code) {
+    return this.getMarket(code)?.deeplSource || null;
+  }
+
+  /**
+   * DeepL target code of a market, e.g. 'FR-BE' -> 'FR'. Null if unknown
+   */
+  getDeepLTargetLanguage(code) {
+    return this.getMarket(code)?.deeplTarget || null;
+  }
+
+  /**
+   * Whether two codes name the same market; unknown codes must match exactly
+   */
+  isSameMarket(first, second) {
+    const firstMarket = this.getMarket(first);
+    const secondMarket = this.getMarket(second);
+
+    if (firstMarket || secondMarket) {
+      return firstMarket === secondMarket;
+    }
+    return (
+      !!first && String(first).toUpperCase() === String(second).toUpperCase()
+    );
+  }
+
+  /**
+   * Whether the provider supports a market as target. Null until validated
+   */
+  isSupported(code) {
+    const entry = this.getMarket(code);
+    if (!entry) {
+      return false;
+    }
+    if (!this.validation) {
+      return null;
+    }
+    return !this.validation.unsupported.some(
+      ({ market, missing }) =>
+        market === entry.market && missing.includes('target')
+    );
+  }
+
+  /**
+   * Every market with its codes and, once validated, provider support
+   */
+  list() {
+    return this.markets.map(({ aliases = [], ...entry }) => ({
+      ...entry,
+      aliases,
+      supported: this.isSupported(entry.market),
+    }));
+  }
+
+  /**
+   * Check every market against the source and target languages of a
+   * translation provider. Regional codes are accepted when the provider only
+   * lists their base language (e.g. LibreTranslate's 'en' for 'EN-GB')
+   */
+  async validate(translator) {
+    const [sourceLanguages, targetLanguages] = await Promise.all([
+      translator.getSourceLanguages(),
+      translator.getTargetLanguages(),
+    ]);
+    const supports = (languages, code) => {
+      const codes = languages.map((language) => language.code.toUpperCase());
+      return codes.includes(code) || codes.includes(code.split('-')[0]);
+    };
+
+    const unsupported = [];
+    for (const entry of this.markets) {
+      const missing = [
+        !supports(sourceLanguages, entry.deeplSource) && 'source',
+        !supports(targetLanguages, entry.deeplTarget) && 'target',
+      ].filter(Boolean);
+
+      if (missing.length > 0) {
+        unsupported.push({ market: entry.market, missing });
+      }
+    }
+
+    this.validation = {
+      provider: translator.name,
+      validatedAt: new Date().toISOString(),
+      unsupported,
+    };
+    return this.validation;
+  }
+}
+
+// Shared instance used by the services and routes
+export const localeRegistry = new LocaleRegistry();
@@ -0,0 +1,395 @@
+/**
+ * Markdown Translator
+ * Translates markdown by parsing it into an AST and translating only its text:
+ * link targets, code, HTML, reference definitions, table structure and the
+ * original markers and line breaks are kept character for character
+ */
+
+import { fromMarkdown } from 'mdast-util-from-markdown';
+import { gfmFromMarkdown } from 'mdast-util-gfm';
+import { gfm } from 'micromark-extension-gfm';
+
+// Blocks whose inline content is translated as one segment
+const TEXT_BLOCK_TYPES = ['paragraph', 'heading', 'tableCell'];
+
+// Inline nodes whose children are translated between their original markers
+const MARK_NODE_TYPES = ['emphasis', 'strong', 'delete'];
+const LINK_NODE_TYPES = ['link', 'linkReference'];
+
+// A line ending inside a paragraph, with the trailing spaces before it and
+// the container prefix (blockquote markers, list indentation) after it
+const LINE_BREAK_PATTERN = /([ \t]*\r?\n[ \t>]*)/;
+
+export class MarkdownTranslator {
+  /**
+   * @param {object} options
+   * @param {(xml: string, context: { heading: string|null }) => Promise<string>} options.translateSegment
+   *   Translates one XML segment (DeepL `tagHandling: 'xml'`, `<x>` as ignore tag)
+   */
+  constructor({ translateSegment }) {
+    this.translateSegment = translateSegment;
+    this.stats = { segments: 0, failedSegments: 0, images: 0 };
+  }
+
+  /**
+   * Parse markdown into an mdast tree with GFM (tables, strikethrough,
+   * autolinks, footnotes) and source offsets
+   */
+  static parse(markdown) {
+    return fromMarkdown(markdown, {
+      extensions: [gfm()],
+      mdastExtensions: [gfmFromMarkdown()],
+    });
+  }
+
+  /**
+   * Translate a markdown string; blocks are translated concurrently so a
+   * batching translateSegment can send them together
+   */
+  async translateMarkdown(markdown) {
+    if (typeof markdown !== 'string' || !markdown.trim()) {
+      return markdown;
+    }
+
+    const blocks = [];
+    let heading = null;
+
+    const collect = (node) => {
+      if (TEXT_BLOCK_TYPES.includes(node.type)) {
+        if (node.children.length > 0) {
+          blocks.push({ node, context: { heading } });
+        }
+        // Later blocks are translated with the closest heading as context
+        if (node.type === 'heading') {
+          heading = this.getPlainText(node) || heading;
+        }
+        return;
+      }
+      (node.children || []).forEach(collect);
+    };
+    collect(MarkdownTranslator.parse(markdown));
+
+    const replacements = await Promise.all(
+      blocks.map(({ node, context }) =>
+        this.translateTextBlock(markdown, node, context)
+      )
+    );
+
+    // Splice translated blocks into the source from the end, keeping
+    // everything between them untouched
+    let result = markdown;
+    for (const { start, end, text } of replacements.reverse()) {
+      result = result.slice(0, start) + text + result.slice(end);
+    }
+    return result;
+  }
+
+  /**
+   * Translate the inline content of a block as one segment so DeepL sees
+   * full sentences; image alt texts are translated alongside
+   */
+  async translateTextBlock(source, node, context) {
+    const start = node.children[0].position.start.offset;
+    const end = node.children.at(-1).position.end.offset;
+    const inlineNodes = [];
+    const xml = this.serializeInline(source, node.children, inlineNodes);
+    const options = { escapePipes: node.type === 'tableCell' };
+
+    const hasText = !!this.getPlainText(node).trim();
+    if (hasText) {
+      this.stats.segments++;
+    }
+
+    const [translatedXml] = await Promise.all([
+      hasText
+        ? this.translateSegment(xml, context).catch((error) => error)
+        : xml,
+      ...inlineNodes
+        .filter((inlineNode) => inlineNode.alt)
+        .map((inlineNode) => this.translateImageAlt(inlineNode, context)),
+    ]);
+
+    let failure = translatedXml instanceof Error ? translatedXml : null;
+    if (!failure) {
+      try {
+        return {
+          start,
+          end,
+          text: this.parseInline(translatedXml, inlineNodes, options),
+        };
+      } catch (error) {
+        failure = error;
+      }
+    }
+
+    this.stats.failedSegments++;
+    console.warn(
+      `⚠️ Markdown block translation failed (${node.type}), translating text runs individually: ${failure.message}`
+    );
+    return {
+      start,
+      end,
+      text: this.parseInline(
+        await this.translateTextRunsIndividually(xml, context),
+        inlineNodes,
+        options
+      ),
+    };
+  }
+
+  /**
+   * Fallback: translate the text between the tags of a segment run by run,
+   * keeping the original of runs that fail
+   */
+  async translateTextRunsIndividually(xml, context) {
+    const parts = xml.split(/(<[^>]*>)/);
+
+    await Promise.all(
+      parts.map(async (part, index) => {
+        if (part.startsWith('<') || !part.trim()) return;
+
+        const [, leading, text, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(part);
+        try {
+          const translated = await this.translateSegment(text, context);
+          parts[index] = `${leading}${translated.replace(
+            /<[^>]+>/g,
+            ''
+          )}${trailing}`;
+        } catch (error) {
+          console.warn(
+            `⚠️ Markdown text translation failed, keeping original: ${error.message}`
+          );
+        }
+      })
+    );
+
+    return parts.join('');
+  }
+
+  /**
+   * Translate the alt text of an image in place of its raw markdown;
+   * a failure keeps the original alt text
+   */
+  async translateImageAlt(inlineNode, context) {
+    this.stats.images++;
+
+    try {
+      const translated = await this.translateSegment(
+        this.escapeXml(inlineNode.alt),
+        context
+      );
+      const alt = this.unescapeXml(translated.replace(/<[^>]+>/g, ''))
+        .replace(/\s*\n\s*/g, ' ')
+        .replace(/[[\]]/g, '\\$&');
+      const tail =
+        inlineNode.label && !this.matchesLabel(alt, inlineNode.label)
+          ? `][${inlineNode.label}]`
+          : inlineNode.raw.slice(inlineNode.altEnd);
+      inlineNode.raw = `${inlineNode.raw.slice(
+        0,
+        inlineNode.altStart
+      )}${alt}${tail}`;
+    } catch (error) {
+      console.warn(
+        `⚠️ Failed to translate image alt text, using original: ${error.message}`
+      );
+    }
+  }
+
+  /**
+   * Serialize inline content to XML: emphasis, strong and strikethrough become
+   * <m id="n">, links become <a id="n"> (their markers and targets are kept
+   * aside) and code, HTML, images, line breaks and other inline nodes become
+   * self-closing <x id="n"/> tags holding their raw markdown
+   */
+  serializeInline(source, children, inlineNodes) {
+    let xml = '';
+    const addRaw = (raw) => {
+      if (!raw) return;
+      const id = inlineNodes.push({ raw }) - 1;
+      xml += `<x id="${id}"/>`;
+    };
+
+    let offset = children[0]?.position.start.offset;
+    for (const child of children) {
+      const { start, end } = child.position;
+      // Blockquote markers and indentation between inline nodes
+      addRaw(source.slice(offset, start.offset));
+      offset = end.offset;
+
+      const raw = source.slice(start.offset, end.offset);
+
+      if (child.type === 'text') {
+        raw.split(LINE_BREAK_PATTERN).forEach((part, index) => {
+          if (index % 2 === 1) {
+            addRaw(part);
+          } else {
+            xml += this.escapeXml(part);
+          }
+        });
+      } else if (
+        (MARK_NODE_TYPES.includes(child.type) ||
+          (LINK_NODE_TYPES.includes(child.type) && raw.startsWith('['))) &&
+        child.children.length > 0
+      ) {
+        const tag = MARK_NODE_TYPES.includes(child.type) ? 'm' : 'a';
+        const contentStart = child.children[0].position.start.offset;
+        const contentEnd = child.children.at(-1).position.end.offset;
+        const close = source.slice(contentEnd, end.offset);
+
+        // Collapsed and shortcut references use the link text as label: they
+        // keep their form while the translated text still matches the label,
+        // else the original label is spelled out (see parseInline())
+        const reference =
+          child.type === 'linkReference' && child.referenceType !== 'full'
+            ? { label: child.label }
+            : {};
+
+        const id =
+          inlineNodes.push({
+            open: source.slice(start.offset, contentStart),
+            close,
+            ...reference,
+          }) - 1;
+        xml += `<${tag} id="${id}">${this.serializeInline(
+          source,
+          child.children,
+          inlineNodes
+        )}</${tag}>`;
+      } else if (
+        ['image', 'imageReference'].includes(child.type) &&
+        child.alt?.trim()
+      ) {
+        const altMatch = /^!\[([\s\S]*?)\](?=[([]|$)/.exec(raw);
+        const altEnd = 2 + (altMatch ? altMatch[1].length : 0);
+        const id =
+          inlineNodes.push({
+            raw,
+            alt: child.alt,
+            altStart: 2,
+            altEnd,
+            // Like links, collapsed and shortcut references keep their label
+            ...(child.type === 'imageReference' &&
+            child.referenceType !== 'full'
+              ? { label: child.label }
+              : {}),
+          }) - 1;
+        xml += `<x id="${id}"/>`;
+      } else {
+        addRaw(raw);
+      }
+    }
+
+    return xml;
+  }
+
+  /**
+   * Rebuild markdown from translated XML, restoring markers and raw nodes
+   */
+  parseInline(xml, inlineNodes, options = {}) {
+    const stack = [];
+    const usedIds = new Set();
+    const tokenPattern =
+      /<(\/?)([a-z][\w-]*)((?:\s+[\w-]+="[^"]*")*)\s*(\/?)>/g;
+    let markdown = '';
+
+    const pushText = (text) => {
+      let value = this.unescapeXml(text).replace(/\s*\n\s*/g, ' ');
+      if (options.escapePipes) {
+        value = value.replace(/(?<!\\)\|/g, '\\|');
+      }
+      markdown += value;
+    };
+
+    let lastIndex = 0;
+    let match;
+    while ((match = tokenPattern.exec(xml)) !== null) {
+      pushText(xml.slice(lastIndex, match.index));
+      lastIndex = tokenPattern.lastIndex;
+
+      const [, closing, tagName, attributes] = match;
+      const id = Number(/id="(\d+)"/.exec(attributes)?.[1]);
+
+      if (closing) {
+        const frame = stack.pop();
+        if (!frame || frame.tag !== tagName) {
+          throw new Error(`Unbalanced tag </${tagName}> in translation`);
+        }
+        const { close, label } = inlineNodes[frame.id];
+        markdown +=
+          label && !this.matchesLabel(markdown.slice(frame.start), label)
+            ? `][${label}]`
+            : close;
+      } else if (tagName === 'x') {
+        this.assertInlineNode(inlineNodes, id, usedIds);
+        markdown += inlineNodes[id].raw;
+      } else if (tagName === 'm' || tagName === 'a') {
+        this.assertInlineNode(inlineNodes, id, usedIds);
+        markdown += inlineNodes[id].open;
+        stack.push({ tag: tagName, id, start: markdown.length });
+      } else {
+        throw new Error(`Unexpected tag <${tagName}> in translation`);
+      }
+    }
+    pushText(xml.slice(lastIndex));
+
+    if (stack.length > 0) {
+      throw new Error('Unclosed tags in translation');
+    }
+    if (usedIds.size !== inlineNodes.length) {
+      throw new Error(
+        `Translation dropped ${inlineNodes.length - usedIds.size} inline nodes`
+      );
+    }
+
+    return markdown;
+  }
+
+  /**
+   * Validate an inline node reference while parsing
+   */
+  assertInlineNode(inlineNodes, id, usedIds) {
+    if (!Number.isInteger(id) || !inlineNodes[id] || usedIds.has(id)) {
+      throw new Error(`Unknown or duplicate inline node id ${id}`);
+    }
+    usedIds.add(id);
+  }
+
+  /**
+   * Whether a link text still matches a reference label (case-insensitive,
+   * with collapsed whitespace, like CommonMark label matching)
+   */
+  matchesLabel(text, label) {
+    const normalize = (value) =>
+      value.trim().replace(/\s+/g, ' ').toLowerCase();
+    return normalize(text) === normalize(label);
+  }
+
+  /**
+   * Collect the plain text of a node (text nodes only)
+   */
+  getPlainText(node) {
+    if (node.type === 'text') {
+      return node.value || '';
+    }
+    return (node.children || [])
+      .map((child) => this.getPlainText(child))
+      .join('');
+  }
+
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  unescapeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
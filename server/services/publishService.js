@@ -0,0 +1,155 @@
+/**
+ * Publish Service
+ * Publishes a cloned or updated entry tree from the leaves to the root, so
+ * every entry's references are already live when the entry itself is published
+ */
+
+export class PublishService {
+  constructor(environment) {
+    this.environment = environment;
+    this.resourceCache = new Map(); // Maps Type:id to the fetched entry or asset
+  }
+
+  /**
+   * Publish the given entries and assets of a tree, children first
+   * @param {string} rootEntryId - Root entry of the tree (the clone target)
+   * @param {{ type: 'Entry'|'Asset', id: string }[]} items - Entries and assets owned by the tree
+   * @param {object} [options]
+   * @param {boolean} [options.onlyPreviouslyPublished] - Skip items that were never published
+   * @param {(message: string) => void} [options.onProgress]
+   */
+  async publishTree(rootEntryId, items, options = {}) {
+    const { onlyPreviouslyPublished = false, onProgress } = options;
+    const report = { published: [], skipped: [], failed: [] };
+
+    const orderedItems = await this.orderLeavesFirst(rootEntryId, items);
+    onProgress?.(`🚀 Publishing ${orderedItems.length} items leaves-first...`);
+
+    for (const item of orderedItems) {
+      try {
+        const resource = await this.getResource(item);
+
+        if (onlyPreviouslyPublished && !resource.sys.publishedVersion) {
+          report.skipped.push({ ...item, reason: 'never published' });
+          continue;
+        }
+
+        await resource.publish();
+        report.published.push(item);
+        onProgress?.(`✓ Published ${item.type} ${item.id}`);
+      } catch (error) {
+        const { message, errors } = this.describePublishError(error);
+        console.error(
+          `❌ Failed to publish ${item.type} ${item.id}: ${message}`
+        );
+        report.failed.push({ ...item, message, errors });
+      }
+    }
+
+    console.log(
+      `🚀 Publishing finished: ${report.published.length} published, ${report.skipped.length} skipped, ${report.failed.length} failed`
+    );
+    return report;
+  }
+
+  /**
+   * Order the items so every entry comes after the items it links to; items
+   * not reachable from the root are treated as leaves
+   */
+  async orderLeavesFirst(rootEntryId, items) {
+    const owned = new Map(
+      items.map((item) => [`${item.type}:${item.id}`, item])
+    );
+    const visited = new Set();
+    const ordered = [];
+
+    const visit = async (type, id) => {
+      const key = `${type}:${id}`;
+      if (visited.has(key)) return; // Also breaks reference cycles
+      visited.add(key);
+
+      // Only walk the tree's own entries, not shared or original entries it links to
+      if (type === 'Entry' && (owned.has(key) || id === rootEntryId)) {
+        try {
+          const entry = await this.getResource({ type, id });
+          const links = [];
+          this.collectLinks(entry.fields, links);
+          for (const link of links) {
+            await visit(link.linkType, link.id);
+          }
+        } catch (error) {
+          console.warn(
+            `⚠️ Could not read ${key} while ordering the publish: ${error.message}`
+          );
+        }
+      }
+
+      if (owned.has(key)) {
+        ordered.push(owned.get(key));
+      }
+    };
+
+    const unreachable = [];
+    await visit('Entry', rootEntryId);
+    for (const [key, item] of owned) {
+      if (!visited.has(key)) {
+        unreachable.push(item);
+      }
+    }
+
+    return [...unreachable, ...ordered];
+  }
+
+  /**
+   * Collect entry and asset links from field values, including Rich Text embeds
+   */
+  collectLinks(value, links) {
+    if (Array.isArray(value)) {
+      value.forEach((item) => this.collectLinks(item, links));
+    } else if (value && typeof value === 'object') {
+      if (
+        value.sys?.type === 'Link' &&
+        ['Entry', 'Asset'].includes(value.sys.linkType)
+      ) {
+        links.push({ linkType: value.sys.linkType, id: value.sys.id });
+        return;
+      }
+      Object.values(value).forEach((item) => this.collectLinks(item, links));
+    }
+  }
+
+  /**
+   * Fetch an entry or asset once per publish run
+   */
+  async getResource(item) {
+    const key = `${item.type}:${item.id}`;
+    if (!this.resourceCache.has(key)) {
+      this.resourceCache.set(
+        key,
+        item.type === 'Asset'
+          ? await this.environment.getAsset(item.id)
+          : await this.environment.getEntry(item.id)
+      );
+    }
+    return this.resourceCache.get(key);
+  }
+
+  /**
+   * Extract the message and validation errors of a failed publish
+   */
+  describePublishError(error) {
+    try {
+      const parsed = JSON.parse(error.message);
+      return {
+        message: parsed.message || parsed.statusText || error.message,
+        errors: (parsed.details?.errors || []).map((detail) => ({
+          name: detail.name,
+          path: (detail.path || []).join('.'),
+          details: detail.details,
+        })),
+      };
+    } catch {
+      return { message: error.message, errors: [] };
+    }
+  }
+}
@@ -0,0 +1,121 @@
+/**
+ * Reference Policy Service
+ * Decides how a linked entry is carried into a market tree, per linked content
+ * type and optionally per referencing field: cloned, shared (original link
+ * kept), looked up (existing market equivalent) or dropped
+ */
+
+export const REFERENCE_MODES = ['clone', 'share', 'lookup', 'drop'];
+
+export class ReferencePolicyService {
+  constructor(rules, environment) {
+    this.policies = rules.referencePolicies || {};
+    this.authorConfig = rules.author;
+    this.environment = environment;
+  }
+
+  /**
+   * Get the effective policy for a linked content type, with field overrides applied
+   */
+  getPolicy(contentTypeId, fieldId) {
+    const policy = this.policies[contentTypeId];
+
+    if (policy) {
+      const { fields, ...basePolicy } = policy;
+      return { mode: 'clone', ...basePolicy, ...(fields?.[fieldId] || {}) };
+    }
+
+    // The author rule is a lookup policy scoped to the author fields
+    if (
+      this.authorConfig?.enabled &&
+      this.authorConfig.fieldIds.includes(fieldId) &&
+      this.authorConfig.authorContentType === contentTypeId
+    ) {
+      return {
+        mode: 'lookup',
+        matchFields: this.authorConfig.matchFields,
+        cultureField: this.authorConfig.cultureField,
+        fallback: 'clone',
+      };
+    }
+
+    return { mode: 'clone' };
+  }
+
+  /**
+   * Resolve what to do with a linked entry: { mode, targetId }, where targetId
+   * is the entry to link for 'share' and 'lookup' and null otherwise
+   */
+  async resolve(linkedEntry, fieldId, targetCulture) {
+    const policy = this.getPolicy(linkedEntry.sys.contentType.sys.id, fieldId);
+
+    if (policy.mode !== 'lookup') {
+      return {
+        mode: policy.mode,
+        targetId: policy.mode === 'share' ? linkedEntry.sys.id : null,
+      };
+    }
+
+    const existingId = await this.findEquivalent(
+      linkedEntry,
+      policy,
+      targetCulture
+    );
+    if (existingId) {
+      return { mode: 'lookup', targetId: existingId };
+    }
+
+    // No market equivalent yet - fall back (cloning by default)
+    const fallback = policy.fallback || 'clone';
+    console.log(
+      `🔍 No market equivalent for ${linkedEntry.sys.id} - falling back to ${fallback}`
+    );
+    return {
+      mode: fallback,
+      targetId: fallback === 'share' ? linkedEntry.sys.id : null,
+    };
+  }
+
+  /**
+   * Find an existing entry of the same content type for the target culture
+   * that matches the linked entry on one of the policy's match fields
+   */
+  async findEquivalent(linkedEntry, policy, targetCulture) {
+    const { matchFields = [], cultureField } = policy;
+
+    if (cultureField && !targetCulture) {
+      return null;
+    }
+
+    try {
+      for (const matchField of matchFields) {
+        const fieldValue = Object.values(
+          linkedEntry.fields[matchField] || {}
+        )[0];
+        if (!fieldValue || typeof fieldValue !== 'string') continue;
+
+        const query = {
+          content_type: linkedEntry.sys.contentType.sys.id,
+          [`fields.${matchField}`]: fieldValue,
+          'sys.id[ne]': linkedEntry.sys.id,
+          limit: 1,
+        };
+        if (cultureField) {
+          query[`fields.${cultureField}`] = targetCulture;
+        }
+
+        const entries = await this.environment.getEntries(query);
+        if (entries.items.length > 0) {
+          return entries.items[0].sys.id;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      console.warn(
+        `⚠️ Error searching for an existing market equivalent of ${linkedEntry.sys.id}: ${error.message}`
+      );
+      return null;
+    }
+  }
+}
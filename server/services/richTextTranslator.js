@@ -0,0 +1,377 @@
+/**
+ * Rich Text Translator
+ * Translates Contentful Rich Text documents while preserving their structure:
+ * marks, hyperlinks and embedded entries survive translation, and embedded
+ * links can be remapped to cloned entries
+ */
+
+const INLINE_LINK_NODE_TYPES = [
+  'hyperlink',
+  'entry-hyperlink',
+  'asset-hyperlink',
+  'resource-hyperlink',
+];
+
+// Inline embeds; dropping one leaves an empty text node so its block stays valid
+const INLINE_EMBED_NODE_TYPES = [
+  'embedded-entry-inline',
+  'embedded-resource-inline',
+];
+
+const HEADING_NODE_TYPES = [
+  'heading-1',
+  'heading-2',
+  'heading-3',
+  'heading-4',
+  'heading-5',
+  'heading-6',
+];
+
+export class RichTextTranslator {
+  /**
+   * @param {object} options
+   * @param {(xml: string, context: { heading: string|null }) => Promise<string>} options.translateSegment
+   *   Translates one XML segment (DeepL `tagHandling: 'xml'`, `<x>` as ignore tag)
+   * @param {(link: object) => Promise<object|null>} [options.remapLink]
+   *   Maps an embedded or hyperlinked entry/asset link to its target link;
+   *   null drops the embed (hyperlinks are unwrapped to their text)
+   */
+  constructor({ translateSegment, remapLink }) {
+    this.translateSegment = translateSegment;
+    this.remapLink = remapLink || (async (link) => link);
+    this.stats = {
+      segments: 0,
+      failedSegments: 0,
+      remappedLinks: 0,
+      droppedLinks: 0,
+    };
+  }
+
+  /**
+   * Check whether a value is a Rich Text document
+   */
+  static isRichTextDocument(value) {
+    return (
+      !!value &&
+      typeof value === 'object' &&
+      value.nodeType === 'document' &&
+      Array.isArray(value.content)
+    );
+  }
+
+  /**
+   * Translate a Rich Text document, returning a new document
+   */
+  async translateDocument(document) {
+    const translated = await this.remapDocumentLinks(document);
+    await this.translateDocumentText(translated);
+    return translated;
+  }
+
+  /**
+   * Remap every embedded and hyperlinked entry/asset, returning a new document.
+   * Dropped embeds are removed and dropped hyperlinks unwrapped to their text
+   */
+  async remapDocumentLinks(document) {
+    const remapped = JSON.parse(JSON.stringify(document));
+
+    const visit = async (node) => {
+      if (!Array.isArray(node.content)) {
+        return;
+      }
+
+      const content = [];
+      for (const child of node.content) {
+        if (!(await this.remapNodeTarget(child))) {
+          content.push(...this.getDroppedReplacement(child));
+          continue;
+        }
+        await visit(child);
+        content.push(child);
+      }
+      node.content = content;
+    };
+    await visit(remapped);
+
+    return remapped;
+  }
+
+  /**
+   * Translate the text blocks of a document in place; blocks are translated
+   * concurrently so a batching translateSegment can send them together
+   */
+  async translateDocumentText(document) {
+    const blocks = [];
+    let heading = null;
+
+    const collect = (node) => {
+      if (!Array.isArray(node.content)) {
+        return;
+      }
+
+      if (node.content.some((child) => child.nodeType === 'text')) {
+        blocks.push({ node, context: { heading } });
+
+        // Later blocks are translated with the closest heading as context
+        if (HEADING_NODE_TYPES.includes(node.nodeType)) {
+          heading = this.getPlainText(node);
+        }
+        return;
+      }
+
+      node.content.forEach(collect);
+    };
+    collect(document);
+
+    await Promise.all(
+      blocks.map(({ node, context }) => this.translateTextBlock(node, context))
+    );
+    return document;
+  }
+
+  /**
+   * Remap the link target of an embedded node or entry/asset hyperlink;
+   * false when the link is dropped
+   */
+  async remapNodeTarget(node) {
+    const target = node.data?.target;
+    if (target?.sys?.type !== 'Link') {
+      return true;
+    }
+
+    const remapped = await this.remapLink(target);
+    if (!remapped) {
+      this.stats.droppedLinks++;
+      return false;
+    }
+    if (remapped.sys.id !== target.sys.id) {
+      this.stats.remappedLinks++;
+    }
+    node.data.target = remapped;
+    return true;
+  }
+
+  /**
+   * Nodes that replace a node whose link was dropped: a hyperlink keeps its
+   * text, an inline embed becomes an empty text node, a block embed goes
+   */
+  getDroppedReplacement(node) {
+    if (INLINE_LINK_NODE_TYPES.includes(node.nodeType)) {
+      return node.content || [];
+    }
+    if (INLINE_EMBED_NODE_TYPES.includes(node.nodeType)) {
+      return [{ nodeType: 'text', value: '', marks: [], data: {} }];
+    }
+    return [];
+  }
+
+  /**
+   * Translate the inline content of a block as one segment so DeepL sees full sentences
+   */
+  async translateTextBlock(node, context) {
+    const inlineNodes = [];
+    const xml = this.serializeInline(node.content, inlineNodes);
+
+    if (!this.getPlainText(node).trim()) {
+      return;
+    }
+
+    this.stats.segments++;
+
+    try {
+      const translatedXml = await this.translateSegment(xml, {
+        heading: context.heading,
+      });
+      node.content = this.parseInline(translatedXml, inlineNodes);
+    } catch (error) {
+      this.stats.failedSegments++;
+      console.warn(
+        `⚠️ Rich text block translation failed (${node.nodeType}), translating text nodes individually: ${error.message}`
+      );
+      await this.translateTextNodesIndividually(node, context);
+    }
+  }
+
+  /**
+   * Fallback: translate each text node on its own, keeping the block as-is
+   */
+  async translateTextNodesIndividually(node, context) {
+    for (const child of node.content) {
+      if (child.nodeType === 'text') {
+        if (!child.value.trim()) continue;
+        try {
+          const translated = await this.translateSegment(
+            this.escapeXml(child.value),
+            { heading: context.heading }
+          );
+          child.value = this.unescapeXml(translated.replace(/<[^>]+>/g, ''));
+        } catch (error) {
+          console.warn(
+            `⚠️ Rich text node translation failed, keeping original: ${error.message}`
+          );
+        }
+      } else if (Array.isArray(child.content)) {
+        await this.translateTextNodesIndividually(child, context);
+      }
+    }
+  }
+
+  /**
+   * Serialize inline content to XML: marks become tags, hyperlinks become
+   * <a id="n"> and other inline nodes become self-closing <x id="n"/> tags
+   */
+  serializeInline(content, inlineNodes) {
+    let xml = '';
+
+    for (const child of content) {
+      if (child.nodeType === 'text') {
+        let text = this.escapeXml(child.value);
+        for (const mark of [...(child.marks || [])].reverse()) {
+          text = `<${mark.type}>${text}</${mark.type}>`;
+        }
+        xml += text;
+      } else if (INLINE_LINK_NODE_TYPES.includes(child.nodeType)) {
+        const id = inlineNodes.push(child) - 1;
+        xml += `<a id="${id}">${this.serializeInline(
+          child.content || [],
+          inlineNodes
+        )}</a>`;
+      } else {
+        const id = inlineNodes.push(child) - 1;
+        xml += `<x id="${id}"/>`;
+      }
+    }
+
+    return xml;
+  }
+
+  /**
+   * Parse translated XML back into text nodes and the original inline nodes
+   */
+  parseInline(xml, inlineNodes) {
+    const root = { content: [] };
+    const stack = [{ node: root, marks: [] }];
+    const usedIds = new Set();
+    const tokenPattern =
+      /<(\/?)([a-z][\w-]*)((?:\s+[\w-]+="[^"]*")*)\s*(\/?)>/g;
+
+    const pushText = (text) => {
+      if (!text) return;
+      const frame = stack[stack.length - 1];
+      frame.node.content.push({
+        nodeType: 'text',
+        value: this.unescapeXml(text),
+        marks: frame.marks.map((type) => ({ type })),
+        data: {},
+      });
+    };
+
+    let lastIndex = 0;
+    let match;
+    while ((match = tokenPattern.exec(xml)) !== null) {
+      pushText(xml.slice(lastIndex, match.index));
+      lastIndex = tokenPattern.lastIndex;
+
+      const [, closing, tagName, attributes, selfClosing] = match;
+      const frame = stack[stack.length - 1];
+      const id = Number(/id="(\d+)"/.exec(attributes)?.[1]);
+
+      if (tagName === 'x') {
+        this.assertInlineNode(inlineNodes, id, usedIds);
+        frame.node.content.push(inlineNodes[id]);
+      } else if (tagName === 'a' && !closing) {
+        this.assertInlineNode(inlineNodes, id, usedIds);
+        const linkNode = { ...inlineNodes[id], content: [] };
+        frame.node.content.push(linkNode);
+        stack.push({ node: linkNode, marks: [...frame.marks], tag: 'a' });
+      } else if (closing) {
+        if (stack.length === 1 || frame.tag !== tagName) {
+          throw new Error(`Unbalanced tag </${tagName}> in translation`);
+        }
+        stack.pop();
+      } else if (!selfClosing) {
+        // Mark tags open a nested frame sharing the same parent node
+        stack.push({
+          node: frame.node,
+          marks: [...frame.marks, tagName],
+          tag: tagName,
+        });
+      }
+    }
+    pushText(xml.slice(lastIndex));
+
+    if (stack.length !== 1) {
+      throw new Error('Unclosed tags in translation');
+    }
+    if (usedIds.size !== inlineNodes.length) {
+      throw new Error(
+        `Translation dropped ${inlineNodes.length - usedIds.size} inline nodes`
+      );
+    }
+
+    return this.ensureTextEdges(root.content);
+  }
+
+  /**
+   * Validate an inline node reference while parsing
+   */
+  assertInlineNode(inlineNodes, id, usedIds) {
+    if (!Number.isInteger(id) || !inlineNodes[id] || usedIds.has(id)) {
+      throw new Error(`Unknown or duplicate inline node id ${id}`);
+    }
+    usedIds.add(id);
+  }
+
+  /**
+   * Rich Text requires inline nodes to be surrounded by text nodes
+   */
+  ensureTextEdges(content) {
+    const emptyText = () => ({
+      nodeType: 'text',
+      value: '',
+      marks: [],
+      data: {},
+    });
+    const result = [];
+
+    for (const node of content) {
+      if (node.nodeType !== 'text' && result.at(-1)?.nodeType !== 'text') {
+        result.push(emptyText());
+      }
+      result.push(node);
+    }
+    if (result.at(-1)?.nodeType !== 'text') {
+      result.push(emptyText());
+    }
+
+    return result;
+  }
+
+  /**
+   * Collect the plain text of a node
+   */
+  getPlainText(node) {
+    if (node.nodeType === 'text') {
+      return node.value || '';
+    }
+    return (node.content || [])
+      .map((child) => this.getPlainText(child))
+      .join('');
+  }
+
+  escapeXml(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;');
+  }
+
+  unescapeXml(text) {
+    return text
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&apos;/g, "'")
+      .replace(/&amp;/g, '&');
+  }
+}
@@ -0,0 +1,185 @@
+/**
+ * Slug Service
+ * Generates market slugs from translated titles: language-aware
+ * transliteration plus a uniqueness check against existing entries
+ */
+
+// Characters NFD decomposition does not reduce to ASCII
+const BASE_CHAR_MAP = {
+  ß: 'ss',
+  æ: 'ae',
+  œ: 'oe',
+  ø: 'o',
+  ł: 'l',
+  đ: 'd',
+  ð: 'd',
+  þ: 'th',
+  ı: 'i',
+  '&': '-',
+};
+
+const CYRILLIC_CHAR_MAP = {
+  а: 'a',
+  б: 'b',
+  в: 'v',
+  г: 'g',
+  д: 'd',
+  е: 'e',
+  ё: 'e',
+  ж: 'zh',
+  з: 'z',
+  и: 'i',
+  й: 'y',
+  к: 'k',
+  л: 'l',
+  м: 'm',
+  н: 'n',
+  о: 'o',
+  п: 'p',
+  р: 'r',
+  с: 's',
+  т: 't',
+  у: 'u',
+  ф: 'f',
+  х: 'kh',
+  ц: 'ts',
+  ч: 'ch',
+  ш: 'sh',
+  щ: 'shch',
+  ъ: '',
+  ы: 'y',
+  ь: '',
+  э: 'e',
+  ю: 'yu',
+  я: 'ya',
+  є: 'ye',
+  і: 'i',
+  ї: 'yi',
+  ґ: 'g',
+};
+
+// Language-specific overrides, keyed by the base language code
+const LANGUAGE_CHAR_MAPS = {
+  de: { ä: 'ae', ö: 'oe', ü: 'ue' },
+  uk: { г: 'h', и: 'y', й: 'i', х: 'kh' },
+  bg: { щ: 'sht', ъ: 'a', ю: 'yu', я: 'ya' },
+};
+
+const MAX_SLUG_LENGTH = 100;
+const MAX_SUFFIX_ATTEMPTS = 100;
+
+export class SlugService {
+  constructor(environment) {
+    this.environment = environment;
+    this.reservedSlugs = new Set(); // Slugs handed out in this run, not yet saved
+  }
+
+  /**
+   * Turn a text into a URL slug, transliterating for the given language
+   */
+  slugify(text, language) {
+    const baseLanguage = (language || '').toLowerCase().split('-')[0];
+    const charMap = {
+      ...BASE_CHAR_MAP,
+      ...CYRILLIC_CHAR_MAP,
+      ...(LANGUAGE_CHAR_MAPS[baseLanguage] || {}),
+    };
+
+    const transliterated = [...String(text).toLowerCase()]
+      .map((char) => charMap[char] ?? char)
+      .join('')
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '');
+
+    const slug = transliterated
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '');
+
+    if (slug.length <= MAX_SLUG_LENGTH) {
+      return slug;
+    }
+    // Cut at a word boundary where possible
+    const truncated = slug.slice(0, MAX_SLUG_LENGTH);
+    const lastHyphen = truncated.lastIndexOf('-');
+    return lastHyphen > 0 ? truncated.slice(0, lastHyphen) : truncated;
+  }
+
+  /**
+   * Generate a slug that no other entry of the content type uses within the
+   * same scope (e.g. culture and domain), adding -2, -3, ... on collisions
+   * @param {object} options
+   * @param {string} options.text - Translated title to build the slug from
+   * @param {string} options.language - Target language (DeepL code)
+   * @param {string} options.contentTypeId
+   * @param {string} options.slugField - Field ID holding the slug
+   * @param {string} options.locale - Locale the fields are stored in
+   * @param {object} [options.scope] - Field ID -> value pairs the slug must be unique within
+   * @param {string} [options.excludeEntryId] - Entry whose own slug does not count as a collision
+   */
+  async generateUniqueSlug(options) {
+    const {
+      text,
+      language,
+      contentTypeId,
+      slugField,
+      locale,
+      scope = {},
+      excludeEntryId,
+    } = options;
+
+    const baseSlug = this.slugify(text, language);
+    if (!baseSlug) {
+      return null;
+    }
+
+    for (let attempt = 1; attempt <= MAX_SUFFIX_ATTEMPTS; attempt++) {
+      const candidate = attempt === 1 ? baseSlug : `${baseSlug}-${attempt}`;
+      const reservationKey = JSON.stringify([contentTypeId, scope, candidate]);
+
+      if (this.reservedSlugs.has(reservationKey)) {
+        continue;
+      }
+
+      const taken = await this.isSlugTaken(candidate, {
+        contentTypeId,
+        slugField,
+        locale,
+        scope,
+        excludeEntryId,
+      });
+
+      if (!taken) {
+        this.reservedSlugs.add(reservationKey);
+        return candidate;
+      }
+    }
+
+    throw new Error(
+      `Could not find a free slug for '${baseSlug}' after ${MAX_SUFFIX_ATTEMPTS} attempts`
+    );
+  }
+
+  /**
+   * Check whether another entry in the scope already uses a slug
+   */
+  async isSlugTaken(slug, options) {
+    const { contentTypeId, slugField, locale, scope, excludeEntryId } = options;
+
+    const query = {
+      content_type: contentTypeId,
+      [`fields.${slugField}.${locale}`]: slug,
+      limit: 1,
+    };
+    for (const [fieldId, value] of Object.entries(scope)) {
+      if (value !== undefined && value !== null && value !== '') {
+        query[`fields.${fieldId}.${locale}`] = value;
+      }
+    }
+    if (excludeEntryId) {
+      query['sys.id[ne]'] = excludeEntryId;
+    }
+
+    const entries = await this.environment.getEntries(query);
+    return entries.items.length > 0;
+  }
+}
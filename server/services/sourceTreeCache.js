@@ -0,0 +1,97 @@
+/**
+ * Source Tree Cache
+ * Shares the reads of one source tree between the clones of several target
+ * languages: every entry, asset, content type and the field rules are fetched
+ * once, and concurrent requests for the same item wait for the same fetch.
+ * Entries and assets are handed out as copies, so one language's clone can
+ * never change what another one reads
+ */
+
+import { fieldRulesService } from './fieldRulesService.js';
+
+export class SourceTreeCache {
+  /**
+   * @param {object} environment - Contentful environment of the source tree
+   * @param {object} scope
+   * @param {string} scope.spaceId
+   * @param {string} scope.environmentId
+   */
+  constructor(environment, { spaceId, environmentId }) {
+    this.environment = environment;
+    this.spaceId = spaceId;
+    this.environmentId = environmentId;
+    this.items = new Map(); // Maps Type:id to the pending or settled fetch
+    this.stats = { requests: 0, hits: 0 };
+  }
+
+  /**
+   * Create a cache for a space environment
+   */
+  static async create(cmaClient, spaceId, environmentId) {
+    const space = await cmaClient.getSpace(spaceId);
+    const environment = await space.getEnvironment(environmentId);
+    return new SourceTreeCache(environment, { spaceId, environmentId });
+  }
+
+  async getEntry(entryId) {
+    return structuredClone(
+      await this.fetch(`Entry:${entryId}`, async () =>
+        toSnapshot(await this.environment.getEntry(entryId))
+      )
+    );
+  }
+
+  async getAsset(assetId) {
+    return structuredClone(
+      await this.fetch(`Asset:${assetId}`, async () =>
+        toSnapshot(await this.environment.getAsset(assetId))
+      )
+    );
+  }
+
+  /**
+   * Content types are only read, so every caller gets the same object
+   */
+  async getContentType(contentTypeId) {
+    return await this.fetch(`ContentType:${contentTypeId}`, () =>
+      this.environment.getContentType(contentTypeId)
+    );
+  }
+
+  /**
+   * Field rules of the environment, including its Contentful config entry
+   */
+  async getFieldRules() {
+    return structuredClone(
+      await this.fetch('FieldRules', () =>
+        fieldRulesService.resolveRules(
+          this.spaceId,
+          this.environmentId,
+          this.environment
+        )
+      )
+    );
+  }
+
+  /**
+   * Run a fetch once per key; failed fetches are forgotten so they can be retried
+   */
+  fetch(key, load) {
+    if (this.items.has(key)) {
+      this.stats.hits++;
+      return this.items.get(key);
+    }
+
+    this.stats.requests++;
+    const pending = load().catch((error) => {
+      this.items.delete(key);
+      throw error;
+    });
+    this.items.set(key, pending);
+    return pending;
+  }
+}
+
+// Plain data of a Contentful entity, without its methods
+const toSnapshot = (entity) =>
+  typeof entity.toPlainObject === 'function' ? entity.toPlainObject() : entity;
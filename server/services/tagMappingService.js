@@ -0,0 +1,184 @@
+/**
+ * Tag Mapping Service
+ * Builds the metadata (tags and taxonomy concepts) of clones and incremental
+ * updates from their source entry, applying the `tags` field rules: market
+ * tags are swapped for the target market (e.g. 'market-de' -> 'market-it'),
+ * explicit mappings per target market rename other tags, and tags or
+ * concepts the destination does not have are dropped
+ */
+
+import { localeRegistry } from './localeRegistry.js';
+
+export class TagMappingService {
+  /**
+   * @param {object} rules - The `tags` field rules
+   * @param {object} environment - Contentful environment the metadata is written to
+   * @param {object} cmaClient - Contentful Management client, used to look up
+   *   concepts in the organization of the environment
+   */
+  constructor(rules = {}, environment, cmaClient) {
+    this.enabled = rules.enabled !== false;
+    this.copyConcepts = rules.copyConcepts !== false;
+    this.marketTagPrefix = rules.marketTagPrefix || null;
+    // Mappings are keyed by market, so 'it', 'IT' and 'it-IT' all resolve
+    this.mappings = new Map(
+      Object.entries(rules.mappings || {}).map(([market, mapping]) => [
+        this.getMarketId(market),
+        mapping,
+      ])
+    );
+    this.environment = environment;
+    this.tagIds = null; // Promise of the environment's tag IDs, loaded on first use
+    this.cma = cmaClient;
+    this.organizationId = null; // Promise of the organization ID, resolved on first concept lookup
+    this.conceptChecks = new Map(); // Concept ID -> Promise<boolean>
+  }
+
+  /**
+   * Metadata to write for a target market, or null when tags are not copied
+   * @param {object} metadata - Source entry metadata
+   * @param {string} targetMarket - Market identifier or culture value
+   */
+  async mapMetadata(metadata, targetMarket) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const tags = [];
+    for (const link of metadata?.tags || []) {
+      const tagId = this.mapTagId(link.sys.id, targetMarket);
+      if (tags.some((tag) => tag.sys.id === tagId)) continue;
+
+      if (!(await this.hasTag(tagId))) {
+        console.warn(
+          `⚠️ Tag '${tagId}' does not exist in the target environment - not copied`
+        );
+        continue;
+      }
+      tags.push({ sys: { type: 'Link', linkType: 'Tag', id: tagId } });
+    }
+
+    const result = { tags };
+    if (this.copyConcepts && metadata?.concepts) {
+      result.concepts = [];
+      for (const concept of metadata.concepts) {
+        if (!(await this.hasConcept(concept.sys.id))) {
+          console.warn(
+            `⚠️ Taxonomy concept '${concept.sys.id}' does not exist in the target organization - not copied`
+          );
+          continue;
+        }
+        result.concepts.push({ sys: { ...concept.sys } });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Tag ID for a target market: an explicit mapping wins, then market tags
+   * ('<marketTagPrefix><market>') are pointed at the target market
+   */
+  mapTagId(tagId, targetMarket) {
+    const marketId = this.getMarketId(targetMarket);
+    const mapped = this.mappings.get(marketId)?.[tagId];
+    if (mapped) {
+      return mapped;
+    }
+
+    if (this.marketTagPrefix && tagId.startsWith(this.marketTagPrefix)) {
+      const market = tagId.slice(this.marketTagPrefix.length);
+      if (localeRegistry.getMarket(market)) {
+        return `${this.marketTagPrefix}${marketId.toLowerCase()}`;
+      }
+    }
+    return tagId;
+  }
+
+  /**
+   * Registry market identifier of a code, or the code itself in upper case
+   */
+  getMarketId(code) {
+    return localeRegistry.getMarket(code)?.market || String(code).toUpperCase();
+  }
+
+  /**
+   * Whether the environment has a tag; true for every tag when the tags
+   * cannot be listed
+   */
+  async hasTag(tagId) {
+    // Concurrent callers share the listing instead of skipping the check
+    if (!this.tagIds) {
+      this.tagIds = this.loadTagIds();
+    }
+    const tagIds = await this.tagIds;
+    return !tagIds || tagIds.has(tagId);
+  }
+
+  /**
+   * Tag IDs of the environment, or null when the tags cannot be listed
+   */
+  async loadTagIds() {
+    try {
+      const tags = await this.environment.getTags({ limit: 1000 });
+      return new Set(tags.items.map((tag) => tag.sys.id));
+    } catch (error) {
+      console.warn(
+        `⚠️ Could not list tags, copying them unchecked: ${error.message}`
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Whether the organization of the environment has a taxonomy concept; true
+   * when concepts cannot be looked up
+   */
+  async hasConcept(conceptId) {
+    if (!this.conceptChecks.has(conceptId)) {
+      this.conceptChecks.set(conceptId, this.lookupConcept(conceptId));
+    }
+    return this.conceptChecks.get(conceptId);
+  }
+
+  async lookupConcept(conceptId) {
+    try {
+      const organizationId = await this.getOrganizationId();
+      if (!organizationId) {
+        return true;
+      }
+      await this.cma.rawRequest({
+        method: 'GET',
+        url: `/organizations/${organizationId}/taxonomy/concepts/${conceptId}`,
+      });
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound') {
+        return false;
+      }
+      console.warn(
+        `⚠️ Could not look up concept '${conceptId}', copying it unchecked: ${error.message}`
+      );
+      return true;
+    }
+  }
+
+  /**
+   * Organization that owns the space of the environment (null without a
+   * client or space ID); concurrent lookups share one space read
+   */
+  async getOrganizationId() {
+    if (!this.organizationId) {
+      this.organizationId = this.loadOrganizationId();
+    }
+    return this.organizationId;
+  }
+
+  async loadOrganizationId() {
+    const spaceId = this.environment?.sys?.space?.sys?.id;
+    if (!this.cma || !spaceId) {
+      return null;
+    }
+    const space = await this.cma.getSpace(spaceId);
+    return space.sys.organization?.sys?.id || null;
+  }
+}
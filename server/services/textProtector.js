@@ -0,0 +1,163 @@
+/**
+ * Text Protector
+ * Shields do-not-translate spans (brand terms, {{variables}}, URLs, e-mail
+ * addresses, prices, model codes) from DeepL by wrapping them in ignore tags,
+ * then restores them and verifies none were lost
+ */
+
+export const PROTECTION_TAG = 'dnt';
+
+// Built-in span patterns, selectable by name in the protection rules
+export const BUILT_IN_PATTERNS = {
+  variables: /\{\{[^{}]*\}\}|\$\{[^{}]*\}/g,
+  urls: /\b(?:https?:\/\/|www\.)[^\s<>"'`]+[^\s<>"'`.,;:!?)\]]/g,
+  emails: /\b[\w.+-]+@[\w-]+(?:\.[\w-]+)+\b/g,
+  prices:
+    /(?:[€$£]|\b(?:EUR|CHF|USD|GBP)\b)\s?\d[\d.,'’]*(?:[.,]-)?|\b\d[\d.,'’]*(?:[.,]-)?\s?(?:[€$£]|(?:EUR|CHF|USD|GBP)\b)/g,
+  // Upper-case codes mixing letters and digits, e.g. X5, GLC300, ID.4
+  modelCodes: /\b(?=[A-Z.-]*\d)(?=[\d.-]*[A-Z])[A-Z\d]+(?:[.-][A-Z\d]+)*\b/g,
+};
+
+export class TextProtector {
+  /**
+   * @param {object} [config] - The `protection` field rules section
+   * @param {boolean} [config.enabled]
+   * @param {string[]} [config.builtInPatterns] - Names from BUILT_IN_PATTERNS
+   * @param {string[]} [config.terms] - Terms kept as-is (case-sensitive, whole words)
+   * @param {string[]} [config.patterns] - Extra regular expressions
+   */
+  constructor(config = {}) {
+    this.enabled = !!config.enabled;
+    this.patterns = [];
+
+    if (!this.enabled) {
+      return;
+    }
+
+    // Longest terms first so 'AutoScout24 Garantie' wins over 'AutoScout24'
+    const terms = [...(config.terms || [])]
+      .filter(Boolean)
+      .sort((a, b) => b.length - a.length);
+    if (terms.length > 0) {
+      this.patterns.push(
+        new RegExp(
+          `(?<![\\w])(?:${terms.map(escapeRegExp).join('|')})(?![\\w])`,
+          'gu'
+        )
+      );
+    }
+
+    for (const name of config.builtInPatterns || []) {
+      this.patterns.push(BUILT_IN_PATTERNS[name]);
+    }
+    for (const source of config.patterns || []) {
+      this.patterns.push(new RegExp(source, 'g'));
+    }
+  }
+
+  /**
+   * Wrap protected spans in <dnt id="n"> tags. Plain text is XML-escaped
+   * first, as DeepL then has to parse it as XML; XML input (e.g. serialized
+   * Rich Text) is only matched outside its tags
+   * @returns {{ text: string, tokens: string[], options: object }} The text to
+   *   send, the protected spans by id and the DeepL options to send it with
+   */
+  protect(text, options = {}) {
+    if (!this.enabled || this.patterns.length === 0) {
+      return { text, tokens: [], options };
+    }
+
+    const isXml = options.tagHandling === 'xml';
+    const tokens = [];
+    const parts = isXml ? text.split(/(<[^>]*>)/) : [escapeXml(text)];
+
+    const protectedText = parts
+      .map((part) =>
+        part.startsWith('<') ? part : this.wrapSpans(part, tokens)
+      )
+      .join('');
+
+    if (tokens.length === 0) {
+      return { text, tokens, options };
+    }
+
+    return {
+      text: protectedText,
+      tokens,
+      options: {
+        ...options,
+        tagHandling: 'xml',
+        ignoreTags: [...(options.ignoreTags || []), PROTECTION_TAG],
+      },
+      escaped: !isXml,
+    };
+  }
+
+  /**
+   * Replace protected tags with their original spans. Returns null when a
+   * token was lost or duplicated, so the caller can retry or flag the segment
+   */
+  restore(translated, protection) {
+    if (protection.tokens.length === 0) {
+      return translated;
+    }
+
+    const seen = new Map();
+    const restored = translated.replace(
+      new RegExp(
+        `<${PROTECTION_TAG} id="(\\d+)"\\s*(?:/>|>[\\s\\S]*?</${PROTECTION_TAG}>)`,
+        'g'
+      ),
+      (match, id) => {
+        seen.set(id, (seen.get(id) || 0) + 1);
+        return protection.tokens[id] ?? match;
+      }
+    );
+
+    const intact = protection.tokens.every(
+      (token, id) => seen.get(String(id)) === 1
+    );
+    if (!intact) {
+      return null;
+    }
+    return protection.escaped ? unescapeXml(restored) : restored;
+  }
+
+  /**
+   * Wrap every pattern match of a text chunk, leaving earlier wraps alone
+   */
+  wrapSpans(chunk, tokens) {
+    let result = chunk;
+
+    for (const pattern of this.patterns) {
+      result = result
+        .split(
+          new RegExp(`(<${PROTECTION_TAG} id="\\d+">.*?</${PROTECTION_TAG}>)`)
+        )
+        .map((part) =>
+          part.startsWith(`<${PROTECTION_TAG} `)
+            ? part
+            : part.replace(pattern, (span) => {
+                const id = tokens.push(span) - 1;
+                return `<${PROTECTION_TAG} id="${id}">${span}</${PROTECTION_TAG}>`;
+              })
+        )
+        .join('');
+    }
+
+    return result;
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeXml = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+const unescapeXml = (text) =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
@@ -0,0 +1,279 @@
+/**
+ * Translation Batcher
+ * Queues DeepL translations and sends them as multi-text requests, grouped by
+ * language pair and options and kept within DeepL's request limits. Texts
+ * found in the translation memory never reach DeepL, and do-not-translate
+ * spans are protected on the way there and back
+ */
+
+// DeepL accepts up to 50 texts and 128 KiB per request; leave room for the rest of the body
+const MAX_TEXTS_PER_REQUEST = 50;
+const MAX_REQUEST_BYTES = 120 * 1024;
+
+export class TranslationBatcher {
+  constructor(translator, options = {}) {
+    this.translator = translator;
+    this.maxTexts = options.maxTexts || MAX_TEXTS_PER_REQUEST;
+    this.maxBytes = options.maxBytes || MAX_REQUEST_BYTES;
+    this.memory = options.memory || null; // Translation memory checked before queueing
+    this.protector = options.protector || null; // TextProtector for do-not-translate spans
+    this.groups = new Map(); // Maps language pair + options to queued segments
+    this.inFlight = new Set(); // Batch requests that have not settled yet
+    this.collecting = false; // While collecting, only full batches are sent before drain()
+    this.flushScheduled = false;
+    this.cancelReason = null; // Set by cancel(); new segments are rejected until collect()
+    this.stats = {
+      requests: 0,
+      segments: 0,
+      failedSegments: 0,
+      memoryHits: 0,
+      protectionFailures: 0,
+    };
+  }
+
+  /**
+   * Queue one text; resolves with its DeepL text result once its batch is sent.
+   * Outside collect() the queue is flushed on the next turn of the event
+   * loop, so concurrent callers still share requests
+   */
+  translate(text, sourceLanguage, targetLanguage, options = {}) {
+    if (this.cancelReason) {
+      return Promise.reject(new Error(this.cancelReason));
+    }
+
+    const remembered = this.memory?.lookup(
+      text,
+      sourceLanguage,
+      targetLanguage,
+      this.getMemoryOptions(options)
+    );
+    if (remembered !== null && remembered !== undefined) {
+      this.stats.memoryHits++;
+      return Promise.resolve({ text: remembered, fromMemory: true });
+    }
+
+    const protection = this.protector?.protect(text, options) || {
+      text,
+      tokens: [],
+      options,
+    };
+
+    const key = JSON.stringify([
+      sourceLanguage,
+      targetLanguage,
+      protection.options,
+    ]);
+    // The same text queued twice in a run is sent once
+    const duplicate = this.groups.get(key)?.byText.get(protection.text);
+    if (duplicate) {
+      return duplicate.result;
+    }
+
+    const bytes = Buffer.byteLength(protection.text, 'utf8');
+
+    const queued = this.groups.get(key);
+    if (
+      queued &&
+      (queued.items.length >= this.maxTexts ||
+        queued.bytes + bytes > this.maxBytes)
+    ) {
+      this.sendGroup(key);
+    }
+
+    if (!this.groups.has(key)) {
+      this.groups.set(key, {
+        sourceLanguage,
+        targetLanguage,
+        options: protection.options,
+        items: [],
+        byText: new Map(),
+        bytes: 0,
+      });
+    }
+
+    const group = this.groups.get(key);
+    const item = { text: protection.text, sourceText: text, protection };
+    item.result = new Promise((resolve, reject) => {
+      Object.assign(item, { resolve, reject });
+    });
+    group.items.push(item);
+    group.byText.set(protection.text, item);
+    group.bytes += bytes;
+    this.stats.segments++;
+
+    if (!this.collecting) {
+      this.scheduleFlush();
+    }
+    return item.result;
+  }
+
+  /**
+   * Hold back partial batches until drain() so a whole tree can be gathered first;
+   * stats restart for the new run
+   */
+  collect() {
+    this.collecting = true;
+    this.cancelReason = null;
+    this.stats = {
+      requests: 0,
+      segments: 0,
+      failedSegments: 0,
+      memoryHits: 0,
+      protectionFailures: 0,
+    };
+  }
+
+  /**
+   * Send everything queued, including segments queued by the continuations of
+   * earlier results (e.g. image captions), and stop collecting
+   */
+  async drain() {
+    while (this.groups.size > 0 || this.inFlight.size > 0) {
+      await this.flush();
+      // Let result continuations run and queue their follow-up segments
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    this.collecting = false;
+  }
+
+  /**
+   * Reject everything still queued (e.g. after an aborted clone), and anything
+   * queued afterwards until the next collect()
+   */
+  cancel(reason = 'Translation cancelled') {
+    this.cancelReason = reason;
+    for (const group of this.groups.values()) {
+      group.items.forEach((item) => item.reject(new Error(reason)));
+    }
+    this.groups.clear();
+    this.collecting = false;
+  }
+
+  /**
+   * Send all queued groups and wait for every request in flight
+   */
+  async flush() {
+    for (const key of [...this.groups.keys()]) {
+      this.sendGroup(key);
+    }
+    await Promise.all([...this.inFlight]);
+  }
+
+  scheduleFlush() {
+    if (this.flushScheduled) return;
+    this.flushScheduled = true;
+
+    setImmediate(() => {
+      this.flushScheduled = false;
+      this.flush();
+    });
+  }
+
+  /**
+   * Start the request for one queued group
+   */
+  sendGroup(key) {
+    const group = this.groups.get(key);
+    if (!group) return;
+    this.groups.delete(key);
+
+    const request = this.sendBatch(group).finally(() =>
+      this.inFlight.delete(request)
+    );
+    this.inFlight.add(request);
+  }
+
+  /**
+   * Translate a batch; if DeepL rejects it, or a segment comes back with lost
+   * protected spans, retry those segments on their own so one bad segment
+   * does not fail the others
+   */
+  async sendBatch(group) {
+    const { sourceLanguage, targetLanguage, options, items } = group;
+    let retryItems = items;
+    this.stats.requests++;
+
+    try {
+      const results = await this.translator.translateText(
+        items.map((item) => item.text),
+        sourceLanguage,
+        targetLanguage,
+        options
+      );
+      retryItems = items.filter(
+        (item, index) => !this.completeItem(group, item, results[index])
+      );
+      if (retryItems.length === 0) {
+        return;
+      }
+      console.warn(
+        `⚠️ ${retryItems.length} segments lost protected spans - retrying them individually`
+      );
+    } catch (error) {
+      if (items.length === 1) {
+        this.stats.failedSegments++;
+        items[0].reject(error);
+        return;
+      }
+      console.warn(
+        `⚠️ Batch of ${items.length} segments failed (${error.message}) - retrying segments individually`
+      );
+    }
+
+    await Promise.all(
+      retryItems.map(async (item) => {
+        try {
+          this.stats.requests++;
+          const [result] = await this.translator.translateText(
+            [item.text],
+            sourceLanguage,
+            targetLanguage,
+            options
+          );
+          if (!this.completeItem(group, item, result)) {
+            this.stats.protectionFailures++;
+            throw new Error(
+              `Protected spans were lost in translation: ${item.protection.tokens.join(
+                ', '
+              )}`
+            );
+          }
+        } catch (error) {
+          this.stats.failedSegments++;
+          item.reject(error);
+        }
+      })
+    );
+  }
+
+  /**
+   * Restore the protected spans of a result, remember it and resolve the
+   * segment; false when a protected span was lost
+   */
+  completeItem(group, item, result) {
+    const text = this.protector
+      ? this.protector.restore(result.text, item.protection)
+      : result.text;
+    if (text === null) {
+      return false;
+    }
+
+    this.memory?.store(
+      item.sourceText,
+      group.sourceLanguage,
+      group.targetLanguage,
+      this.getMemoryOptions(group.options),
+      text
+    );
+    item.resolve({ ...result, text });
+    return true;
+  }
+
+  /**
+   * Memory options of a translation: results are remembered per provider, so
+   * fake or LibreTranslate output is never served as a DeepL result
+   */
+  getMemoryOptions(options) {
+    return { ...options, provider: this.translator?.name || null };
+  }
+}
@@ -0,0 +1,328 @@
+/**
+ * Translation Memory Service
+ * Stores DeepL results under data/translation-memory so recurring texts
+ * (disclaimers, CTA labels, FAQ answers) are translated once and reused by
+ * the clone and incremental services
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join, dirname } from 'path';
+import crypto from 'crypto';
+import { PROFILE_OPTION_NAMES } from './translationProfileService.js';
+
+// Entries of other versions were keyed differently and are not loaded
+const MEMORY_VERSION = 3;
+
+const DEFAULT_MEMORY_PATH = join(
+  process.cwd(),
+  'data',
+  'translation-memory',
+  'memory.json'
+);
+
+const EXPORT_COLUMNS = [
+  'key',
+  'provider',
+  'sourceLanguage',
+  'targetLanguage',
+  'glossaryId',
+  'formality',
+  'sourceText',
+  'translatedText',
+  'hits',
+  'createdAt',
+  'lastUsedAt',
+];
+
+export class TranslationMemoryService {
+  constructor(options = {}) {
+    this.memoryPath =
+      options.memoryPath ||
+      process.env.TRANSLATION_MEMORY_PATH ||
+      DEFAULT_MEMORY_PATH;
+    this.entries = null; // Maps key to entry, loaded on first use
+    this.saveScheduled = false;
+  }
+
+  /**
+   * Load the memory file (once)
+   */
+  load() {
+    if (this.entries) {
+      return this.entries;
+    }
+
+    this.entries = new Map();
+    if (existsSync(this.memoryPath)) {
+      try {
+        const stored = JSON.parse(readFileSync(this.memoryPath, 'utf8'));
+        if (stored.version !== MEMORY_VERSION) {
+          console.warn(
+            `⚠️ Translation memory version ${stored.version} is outdated, starting empty`
+          );
+          return this.entries;
+        }
+        for (const entry of stored.entries || []) {
+          this.entries.set(entry.key, entry);
+        }
+        console.log(
+          `🧠 Loaded ${this.entries.size} translation memory entries from ${this.memoryPath}`
+        );
+      } catch (error) {
+        console.warn(
+          `⚠️ Could not read translation memory, starting empty: ${error.message}`
+        );
+      }
+    }
+    return this.entries;
+  }
+
+  /**
+   * Normalize a source text for matching: Unicode NFC, unified line breaks,
+   * collapsed spaces and no surrounding whitespace. Line breaks are kept
+   * because they carry markdown structure
+   */
+  normalizeText(text) {
+    return String(text)
+      .normalize('NFC')
+      .replace(/\r\n?/g, '\n')
+      .replace(/[ \t]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Hash of normalized text, provider, language pair, glossary and every
+   * profile option (formality, context, model type, ...), so a translation
+   * made by another provider or under another market's profile is not reused
+   */
+  createKey(text, sourceLanguage, targetLanguage, options = {}) {
+    return crypto
+      .createHash('sha256')
+      .update(
+        JSON.stringify([
+          this.normalizeText(text),
+          options.provider || null,
+          (sourceLanguage || 'auto').toUpperCase(),
+          (targetLanguage || '').toUpperCase(),
+          options.glossary || null,
+          ...PROFILE_OPTION_NAMES.map((name) => options[name] ?? null),
+        ])
+      )
+      .digest('hex');
+  }
+
+  /**
+   * Get a remembered translation, keeping the surrounding whitespace of the
+   * given text; null when the text was never translated with these settings
+   */
+  lookup(text, sourceLanguage, targetLanguage, options = {}) {
+    const entry = this.load().get(
+      this.createKey(text, sourceLanguage, targetLanguage, options)
+    );
+    if (!entry) {
+      return null;
+    }
+
+    entry.hits++;
+    entry.lastUsedAt = new Date().toISOString();
+    this.scheduleSave();
+
+    const [leading] = /^\s*/.exec(text);
+    const [trailing] = /\s*$/.exec(text);
+    return `${leading}${entry.translatedText}${trailing}`;
+  }
+
+  /**
+   * Whether a text was translated with these settings, without counting a hit
+   */
+  has(text, sourceLanguage, targetLanguage, options = {}) {
+    return this.load().has(
+      this.createKey(text, sourceLanguage, targetLanguage, options)
+    );
+  }
+
+  /**
+   * Memory for character estimates: remembered texts are found (and returned
+   * untranslated) without counting hits, and nothing is stored
+   */
+  createReadOnlyView() {
+    return {
+      lookup: (text, sourceLanguage, targetLanguage, options) =>
+        this.has(text, sourceLanguage, targetLanguage, options) ? text : null,
+      store: () => {},
+    };
+  }
+
+  /**
+   * Remember a DeepL result
+   */
+  store(text, sourceLanguage, targetLanguage, options, translatedText) {
+    const sourceText = this.normalizeText(text);
+    if (!sourceText) {
+      return;
+    }
+
+    const key = this.createKey(text, sourceLanguage, targetLanguage, options);
+    const now = new Date().toISOString();
+    const existing = this.load().get(key);
+
+    this.entries.set(key, {
+      key,
+      provider: options?.provider || null,
+      sourceLanguage: (sourceLanguage || 'auto').toUpperCase(),
+      targetLanguage: (targetLanguage || '').toUpperCase(),
+      glossaryId: options?.glossary || null,
+      formality: options?.formality || null,
+      sourceText,
+      translatedText: String(translatedText).trim(),
+      hits: existing?.hits || 0,
+      createdAt: existing?.createdAt || now,
+      lastUsedAt: now,
+    });
+    this.scheduleSave();
+  }
+
+  /**
+   * List entries, newest use first, optionally filtered by language or text
+   * @param {object} [filters]
+   * @param {string} [filters.sourceLanguage]
+   * @param {string} [filters.targetLanguage]
+   * @param {string} [filters.search] - Case-insensitive match on source or translated text
+   * @param {number} [filters.limit]
+   * @param {number} [filters.offset]
+   */
+  list(filters = {}) {
+    const { limit = 100, offset = 0 } = filters;
+    const matching = this.filterEntries(filters).sort((a, b) =>
+      b.lastUsedAt.localeCompare(a.lastUsedAt)
+    );
+
+    return {
+      total: matching.length,
+      entries: matching.slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * Get an entry by key
+   */
+  get(key) {
+    return this.load().get(key) || null;
+  }
+
+  /**
+   * Entry, hit and per-language-pair counts
+   */
+  getStats() {
+    const languagePairs = {};
+    let hits = 0;
+
+    for (const entry of this.load().values()) {
+      const pair = `${entry.sourceLanguage}->${entry.targetLanguage}`;
+      languagePairs[pair] = (languagePairs[pair] || 0) + 1;
+      hits += entry.hits;
+    }
+
+    return {
+      memoryPath: this.memoryPath,
+      entries: this.entries.size,
+      hits,
+      languagePairs,
+    };
+  }
+
+  /**
+   * Remove entries matching the filters (all entries without filters)
+   * @param {object} [filters] - list() filters plus `key` and `olderThan` (ISO date, by last use)
+   * @returns {number} Number of removed entries
+   */
+  purge(filters = {}) {
+    const matching = this.filterEntries(filters);
+    matching.forEach((entry) => this.entries.delete(entry.key));
+
+    if (matching.length > 0) {
+      this.save();
+    }
+    console.log(`🧹 Purged ${matching.length} translation memory entries`);
+    return matching.length;
+  }
+
+  /**
+   * Export entries as a JSON array or CSV text
+   */
+  export(format = 'json', filters = {}) {
+    const entries = this.filterEntries(filters);
+
+    if (format === 'json') {
+      return entries;
+    }
+    if (format !== 'csv') {
+      throw new Error(`Unsupported export format '${format}' (json or csv)`);
+    }
+
+    const escapeCsv = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [
+      EXPORT_COLUMNS.join(','),
+      ...entries.map((entry) =>
+        EXPORT_COLUMNS.map((column) => escapeCsv(entry[column])).join(',')
+      ),
+    ].join('\n');
+  }
+
+  /**
+   * Apply list/purge/export filters
+   */
+  filterEntries(filters) {
+    const { key, sourceLanguage, targetLanguage, search, olderThan } = filters;
+    const searchText = search?.toLowerCase();
+
+    return [...this.load().values()].filter(
+      (entry) =>
+        (!key || entry.key === key) &&
+        (!sourceLanguage ||
+          entry.sourceLanguage === sourceLanguage.toUpperCase()) &&
+        (!targetLanguage ||
+          entry.targetLanguage === targetLanguage.toUpperCase()) &&
+        (!olderThan || entry.lastUsedAt < new Date(olderThan).toISOString()) &&
+        (!searchText ||
+          entry.sourceText.toLowerCase().includes(searchText) ||
+          entry.translatedText.toLowerCase().includes(searchText))
+    );
+  }
+
+  /**
+   * Write the memory once per turn of the event loop, so a batch of results
+   * is saved together
+   */
+  scheduleSave() {
+    if (this.saveScheduled) return;
+    this.saveScheduled = true;
+
+    setImmediate(() => {
+      this.saveScheduled = false;
+      this.save();
+    });
+  }
+
+  save() {
+    try {
+      mkdirSync(dirname(this.memoryPath), { recursive: true });
+      writeFileSync(
+        this.memoryPath,
+        JSON.stringify({
+          version: MEMORY_VERSION,
+          entries: [...this.load().values()],
+        }),
+        'utf8'
+      );
+    } catch (error) {
+      console.warn(`⚠️ Failed to save translation memory: ${error.message}`);
+    }
+  }
+}
+
+// Shared instance so both services read and fill the same memory
+export const translationMemoryService = new TranslationMemoryService();
@@ -0,0 +1,86 @@
+/**
+ * Translation Profile Service
+ * Resolves named DeepL option profiles (formality, formatting, sentence
+ * splitting, context, model type) for a relationship or target language, so
+ * each market gets a consistent register
+ */
+
+// Every option a profile can set (deepl-node option names)
+export const PROFILE_OPTION_NAMES = [
+  'formality',
+  'preserveFormatting',
+  'splitSentences',
+  'context',
+  'modelType',
+];
+
+// Allowed values of the enumerated profile options (deepl-node option names)
+export const PROFILE_OPTION_VALUES = {
+  formality: ['default', 'more', 'less', 'prefer_more', 'prefer_less'],
+  splitSentences: ['default', 'on', 'off', 'nonewlines'],
+  modelType: [
+    'quality_optimized',
+    'latency_optimized',
+    'prefer_quality_optimized',
+  ],
+};
+
+export class TranslationProfileService {
+  constructor(rules) {
+    this.profiles = rules.translationProfiles?.profiles || {};
+    this.languages = rules.translationProfiles?.languages || {};
+  }
+
+  /**
+   * Name of the profile assigned to a target language; regional variants
+   * fall back to their base language ('FR-CA' -> 'FR'). Null if none
+   */
+  getLanguageProfile(targetLanguage) {
+    if (!targetLanguage) {
+      return null;
+    }
+
+    const language = targetLanguage.toUpperCase();
+    return (
+      this.languages[language] || this.languages[language.split('-')[0]] || null
+    );
+  }
+
+  /**
+   * Resolve the effective profile: the explicitly assigned one, else the
+   * target language's. Throws for an unknown profile name
+   * @returns {{ name: string|null, options: object }}
+   */
+  resolve(targetLanguage, profileName) {
+    const name = profileName || this.getLanguageProfile(targetLanguage);
+    if (!name) {
+      return { name: null, options: {} };
+    }
+
+    const profile = this.profiles[name];
+    if (!profile) {
+      throw new Error(
+        `Unknown translation profile '${name}' (available: ${
+          Object.keys(this.profiles).join(', ') || 'none'
+        })`
+      );
+    }
+    return { name, options: { ...profile } };
+  }
+
+  /**
+   * Merge profile options into the options of one DeepL call. Options set by
+   * the call win (e.g. tag handling for XML segments); a profile context is
+   * put before the call's own context
+   */
+  static applyProfile(profileOptions, options = {}) {
+    const context = [profileOptions.context, options.context]
+      .filter(Boolean)
+      .join('\n');
+    return {
+      ...profileOptions,
+      ...options,
+      ...(context ? { context } : {}),
+    };
+  }
+}
@@ -0,0 +1,370 @@
+/**
+ * Translation Providers
+ * Engines behind the translation services, selected with TRANSLATION_PROVIDER.
+ * Every provider implements the subset of the deepl-node Translator the
+ * services use, so the batcher and the glossary service work with any of them:
+ * translateText (single text or batch), getUsage, getSourceLanguages,
+ * getTargetLanguages and the glossary methods
+ */
+
+import * as deepl from 'deepl-node';
+
+export const PROVIDER_NAMES = ['deepl', 'fake', 'libretranslate'];
+
+// Languages the fake provider claims to support
+const FAKE_LANGUAGES = [
+  'bg',
+  'cs',
+  'de',
+  'en',
+  'es',
+  'fr',
+  'hr',
+  'hu',
+  'it',
+  'nl',
+  'pl',
+  'pt',
+  'ro',
+  'ru',
+  'sv',
+  'tr',
+  'uk',
+];
+
+// Glossaries of the fake provider, shared by its instances for the lifetime of the process
+const fakeGlossaries = new Map();
+
+const languageNames = new Intl.DisplayNames(['en'], { type: 'language' });
+
+/**
+ * DeepL, the default provider
+ */
+export class DeepLProvider extends deepl.Translator {
+  constructor(apiKey) {
+    super(apiKey);
+    this.name = 'deepl';
+  }
+}
+
+/**
+ * Deterministic offline provider for development and tests: every text run is
+ * wrapped as ⟦IT:text⟧, keeping XML tags and the content of ignore tags, so
+ * results are predictable and reversible with reverse()
+ */
+export class FakeTranslationProvider {
+  constructor() {
+    this.name = 'fake';
+    this.characterCount = 0;
+  }
+
+  /**
+   * Strip the pseudo-translation markers from a text
+   */
+  static reverse(text) {
+    return text.replace(/⟦[\w-]*:([\s\S]*?)⟧/g, '$1');
+  }
+
+  async translateText(texts, sourceLanguage, targetLanguage, options = {}) {
+    const glossaryEntries = options.glossary
+      ? this.findGlossary(options.glossary).entries
+      : {};
+    const translate = (text) => {
+      this.characterCount += text.length;
+      return {
+        text: this.pseudoTranslate(
+          text,
+          targetLanguage.toUpperCase(),
+          options,
+          glossaryEntries
+        ),
+        detectedSourceLang: (sourceLanguage || 'en').toLowerCase(),
+      };
+    };
+
+    return Array.isArray(texts) ? texts.map(translate) : translate(texts);
+  }
+
+  /**
+   * Wrap every text run outside tags; glossary terms are replaced first
+   */
+  pseudoTranslate(text, language, options, glossaryEntries) {
+    const wrap = (run) => {
+      const [, leading, core, trailing] = /^(\s*)([\s\S]*?)(\s*)$/.exec(run);
+      if (!core) return run;
+      return `${leading}⟦${language}:${applyGlossary(
+        core,
+        glossaryEntries
+      )}⟧${trailing}`;
+    };
+
+    if (!['xml', 'html'].includes(options.tagHandling)) {
+      return wrap(text);
+    }
+
+    // Text inside ignore tags stays as it is, like DeepL does
+    const ignoreTags = options.ignoreTags || [];
+    let ignoreDepth = 0;
+    return text
+      .split(/(<[^>]*>)/)
+      .map((part) => {
+        const tag = /^<(\/?)([\w-]+)[^>]*?(\/?)>$/.exec(part);
+        if (tag) {
+          const [, closing, name, selfClosing] = tag;
+          if (ignoreTags.includes(name) && !selfClosing) {
+            ignoreDepth += closing ? -1 : 1;
+          }
+          return part;
+        }
+        return ignoreDepth > 0 ? part : wrap(part);
+      })
+      .join('');
+  }
+
+  async getUsage() {
+    return { character: { count: this.characterCount, limit: null } };
+  }
+
+  async getSourceLanguages() {
+    return FAKE_LANGUAGES.map(describeLanguage);
+  }
+
+  async getTargetLanguages() {
+    return FAKE_LANGUAGES.map(describeLanguage);
+  }
+
+  async getGlossaryLanguagePairs() {
+    return FAKE_LANGUAGES.flatMap((sourceLang) =>
+      FAKE_LANGUAGES.filter((targetLang) => targetLang !== sourceLang).map(
+        (targetLang) => ({ sourceLang, targetLang })
+      )
+    );
+  }
+
+  async listGlossaries() {
+    return [...fakeGlossaries.values()].map(({ info }) => info);
+  }
+
+  async getGlossary(glossary) {
+    return this.findGlossary(glossary).info;
+  }
+
+  async getGlossaryEntries(glossary) {
+    return new deepl.GlossaryEntries({
+      entries: this.findGlossary(glossary).entries,
+    });
+  }
+
+  async createGlossary(name, sourceLang, targetLang, entries) {
+    const terms = entries.entries();
+    const info = {
+      glossaryId: `fake-${fakeGlossaries.size + 1}-${Date.now()}`,
+      name,
+      ready: true,
+      sourceLang,
+      targetLang,
+      creationTime: new Date(),
+      entryCount: Object.keys(terms).length,
+    };
+    fakeGlossaries.set(info.glossaryId, { info, entries: terms });
+    return info;
+  }
+
+  async deleteGlossary(glossary) {
+    fakeGlossaries.delete(this.findGlossary(glossary).info.glossaryId);
+  }
+
+  /**
+   * Find a glossary by ID or info object, throwing like DeepL when it is missing
+   */
+  findGlossary(glossary) {
+    const glossaryId =
+      typeof glossary === 'string' ? glossary : glossary?.glossaryId;
+    const stored = fakeGlossaries.get(glossaryId);
+    if (!stored) {
+      throw new deepl.GlossaryNotFoundError(`Glossary ${glossaryId} not found`);
+    }
+    return stored;
+  }
+}
+
+/**
+ * Self-hosted LibreTranslate (or a compatible HTTP API). DeepL-only options
+ * such as formality are ignored, and glossaries are not supported
+ */
+export class LibreTranslateProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Base URL, e.g. http://localhost:5000
+   * @param {string} [options.apiKey]
+   * @param {number} [options.timeout] - Request timeout in milliseconds
+   */
+  constructor({ url, apiKey, timeout = 30000 }) {
+    this.name = 'libretranslate';
+    this.url = url.replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+    this.timeout = timeout;
+    this.characterCount = 0;
+  }
+
+  /**
+   * LibreTranslate uses base language codes ('EN-GB' becomes 'en')
+   */
+  static getLanguageCode(language) {
+    return String(language).toLowerCase().split('-')[0];
+  }
+
+  async translateText(texts, sourceLanguage, targetLanguage, options = {}) {
+    const batch = Array.isArray(texts) ? texts : [texts];
+    this.characterCount += batch.reduce((sum, text) => sum + text.length, 0);
+
+    const response = await this.request('/translate', {
+      q: batch,
+      source: sourceLanguage
+        ? LibreTranslateProvider.getLanguageCode(sourceLanguage)
+        : 'auto',
+      target: LibreTranslateProvider.getLanguageCode(targetLanguage),
+      format: options.tagHandling ? 'html' : 'text',
+    });
+
+    const translated = [].concat(response.translatedText);
+    const detected = [].concat(response.detectedLanguage || []);
+    if (translated.length !== batch.length) {
+      throw new Error(
+        `LibreTranslate returned ${translated.length} translations for ${batch.length} texts`
+      );
+    }
+
+    const results = translated.map((text, index) => ({
+      text,
+      detectedSourceLang:
+        detected[index]?.language ||
+        (sourceLanguage || '').toLowerCase() ||
+        null,
+    }));
+    return Array.isArray(texts) ? results : results[0];
+  }
+
+  async getUsage() {
+    return { character: { count: this.characterCount, limit: null } };
+  }
+
+  async getSourceLanguages() {
+    return (await this.request('/languages')).map(({ code, name }) => ({
+      code,
+      name,
+    }));
+  }
+
+  async getTargetLanguages() {
+    return await this.getSourceLanguages();
+  }
+
+  async getGlossaryLanguagePairs() {
+    return [];
+  }
+
+  async listGlossaries() {
+    return [];
+  }
+
+  async getGlossary() {
+    throw new Error('LibreTranslate does not support glossaries');
+  }
+
+  async getGlossaryEntries() {
+    throw new Error('LibreTranslate does not support glossaries');
+  }
+
+  async createGlossary() {
+    throw new Error('LibreTranslate does not support glossaries');
+  }
+
+  async deleteGlossary() {
+    throw new Error('LibreTranslate does not support glossaries');
+  }
+
+  /**
+   * Call the API: POST with a JSON body, GET without one
+   */
+  async request(path, body) {
+    const response = await fetch(`${this.url}${path}`, {
+      method: body ? 'POST' : 'GET',
+      headers: body ? { 'Content-Type': 'application/json' } : {},
+      body: body
+        ? JSON.stringify({
+            ...body,
+            ...(this.apiKey ? { api_key: this.apiKey } : {}),
+          })
+        : undefined,
+      signal: AbortSignal.timeout(this.timeout),
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(
+        `LibreTranslate request failed (${response.status}): ${
+          data.error || response.statusText
+        }`
+      );
+    }
+    return data;
+  }
+}
+
+/**
+ * Name of the configured provider (TRANSLATION_PROVIDER, default 'deepl')
+ */
+export const getTranslationProviderName = () =>
+  (process.env.TRANSLATION_PROVIDER || 'deepl').toLowerCase();
+
+/**
+ * Create the configured translation provider; null when DeepL is selected
+ * without an API key. Throws for an unknown or incompletely configured provider
+ */
+export const createTranslationProvider = ({ deeplApiKey } = {}) => {
+  const name = getTranslationProviderName();
+
+  switch (name) {
+    case 'deepl':
+      return deeplApiKey ? new DeepLProvider(deeplApiKey) : null;
+    case 'fake':
+      return new FakeTranslationProvider();
+    case 'libretranslate':
+      if (!process.env.LIBRETRANSLATE_URL) {
+        throw new Error(
+          'LIBRETRANSLATE_URL must be set to use the libretranslate provider'
+        );
+      }
+      return new LibreTranslateProvider({
+        url: process.env.LIBRETRANSLATE_URL,
+        apiKey: process.env.LIBRETRANSLATE_API_KEY,
+      });
+    default:
+      throw new Error(
+        `Unknown translation provider '${name}'. Supported providers: ${PROVIDER_NAMES.join(
+          ', '
+        )}`
+      );
+  }
+};
+
+const describeLanguage = (code) => ({
+  code,
+  name: languageNames.of(code) || code,
+});
+
+const applyGlossary = (text, entries) =>
+  Object.keys(entries)
+    .sort((a, b) => b.length - a.length)
+    .reduce(
+      (result, term) =>
+        result.replace(
+          new RegExp(
+            `(?<![\\w])${term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w])`,
+            'gu'
+          ),
+          () => entries[term]
+        ),
+      text
+    );